@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const discord = require('./discord');
+
+// Who may use the API. A caller is identified by an API key or by a session
+// from logging in with Discord, and holds one of ROLES, each of which can do
+// everything the ones before it can: viewers read results and reports,
+// moderators also see who took moderation actions, and runners can also
+// start collection runs.
+const ROLES = ['viewer', 'moderator', 'runner'];
+
+const SESSION_COOKIE = 'analytics_session';
+const STATE_COOKIE = 'analytics_oauth_state';
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+const OAUTH_AUTHORIZE_URL = 'https://discord.com/oauth2/authorize';
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function hasRole(principal, role) {
+    return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// API_KEYS holds comma separated "name:role:key" entries. Only a hash of
+// each key is kept.
+function parseApiKeys(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        const key = rest.join(':');
+        if (!name || !ROLES.includes(role) || !key) {
+            throw new Error(`Invalid API_KEYS entry "${name}": expected name:role:key with a role of ${ROLES.join(' or ')}`);
+        }
+        return { name, role, hash: hash(key) };
+    });
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        // Some other site's cookie on the same host can be malformed; it is
+        // skipped rather than failing the request.
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            return;
+        }
+    });
+    return cookies;
+}
+
+function serializeCookie(name, value, { maxAgeSeconds, secure }) {
+    return [
+        `${name}=${encodeURIComponent(value)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${maxAgeSeconds}`,
+        ...(secure ? ['Secure'] : [])
+    ].join('; ');
+}
+
+function createAuth({
+    apiKeys = [],
+    sessionSecret = null,
+    oauth = null,
+    guildIds = [],
+    runnerRoleIds = [],
+    moderatorRoleIds = [],
+    viewerRoleIds = [],
+    runnerUserIds = [],
+    sessionHours = 12,
+    disabled = false
+} = {}) {
+    if (oauth && !sessionSecret) {
+        throw new Error('Discord login needs SESSION_SECRET to sign sessions');
+    }
+
+    const secureCookies = !!oauth && oauth.redirectUri.startsWith('https://');
+
+    function sign(payload) {
+        const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const signature = crypto.createHmac('sha256', sessionSecret).update(data).digest('base64url');
+        return `${data}.${signature}`;
+    }
+
+    function verify(token) {
+        const [data, signature] = (token || '').split('.');
+        if (!data || !signature || !sessionSecret) return null;
+
+        const expected = crypto.createHmac('sha256', sessionSecret).update(data).digest();
+        const given = Buffer.from(signature, 'base64url');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+        try {
+            const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+            return payload.expiresAt > Date.now() ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function apiKeyFrom(req) {
+        const header = req.get('authorization') || '';
+        if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+        return req.get('x-api-key') || null;
+    }
+
+    // The caller behind a request, or null if it carries no valid
+    // credentials.
+    function authenticate(req) {
+        if (disabled) {
+            return { id: 'anonymous', name: 'anonymous', role: ROLES[ROLES.length - 1], via: 'none' };
+        }
+
+        const key = apiKeyFrom(req);
+        if (key) {
+            const keyHash = hash(key);
+            const match = apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, keyHash));
+            return match ? { id: `key:${match.name}`, name: match.name, role: match.role, via: 'apiKey' } : null;
+        }
+
+        const session = verify(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+        return session
+            ? { id: `discord:${session.userId}`, name: session.username, role: session.role, via: 'discord' }
+            : null;
+    }
+
+    // Rejects requests without valid credentials and attaches the caller to
+    // the rest.
+    function middleware(req, res, next) {
+        const principal = authenticate(req);
+        if (!principal) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.principal = principal;
+        next();
+    }
+
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!hasRole(req.principal, role)) {
+                return res.status(403).json({ error: `This needs the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    // The best role the user's membership of the configured guilds gives
+    // them, or null. With no viewer roles configured, any member can view.
+    async function discordRole(userId) {
+        if (runnerUserIds.includes(userId)) return 'runner';
+
+        let role = null;
+        for (const guildId of guildIds) {
+            const member = await discord.getGuildMember(guildId, userId);
+            if (!member) continue;
+
+            const roles = member.roles || [];
+            if (roles.some(id => runnerRoleIds.includes(id))) return 'runner';
+            if (roles.some(id => moderatorRoleIds.includes(id))) {
+                role = 'moderator';
+            } else if (!role && (!viewerRoleIds.length || roles.some(id => viewerRoleIds.includes(id)))) {
+                role = 'viewer';
+            }
+        }
+        return role;
+    }
+
+    function login(req, res) {
+        if (!oauth) {
+            return res.status(404).json({ error: 'Discord login is not configured' });
+        }
+
+        const state = crypto.randomBytes(16).toString('hex');
+        const params = new URLSearchParams({
+            client_id: oauth.clientId,
+            redirect_uri: oauth.redirectUri,
+            response_type: 'code',
+            scope: 'identify',
+            state
+        });
+
+        res.setHeader('Set-Cookie', serializeCookie(STATE_COOKIE, state, {
+            maxAgeSeconds: STATE_MAX_AGE_SECONDS,
+            secure: secureCookies
+        }));
+        res.redirect(`${OAUTH_AUTHORIZE_URL}?${params}`);
+    }
+
+    async function exchangeCode(code) {
+        const response = await fetch(`${discord.getApiBase()}/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: oauth.clientId,
+                client_secret: oauth.clientSecret,
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: oauth.redirectUri
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`Discord token exchange failed: ${response.status}`);
+        }
+        return (await response.json()).access_token;
+    }
+
+    async function fetchUser(accessToken) {
+        const response = await fetch(`${discord.getApiBase()}/users/@me`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        if (!response.ok) {
+            throw new Error(`Discord user lookup failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async function callback(req, res) {
+        if (!oauth) {
+            return res.status(404).json({ error: 'Discord login is not configured' });
+        }
+
+        const expectedState = parseCookies(req.get('cookie'))[STATE_COOKIE];
+        if (!req.query.code || !expectedState || req.query.state !== expectedState) {
+            return res.status(400).json({ error: 'Invalid or expired login attempt' });
+        }
+
+        try {
+            const user = await fetchUser(await exchangeCode(req.query.code));
+            const role = await discordRole(user.id);
+            if (!role) {
+                return res.status(403).json({ error: 'Your Discord account has no access to these analytics' });
+            }
+
+            const session = sign({
+                userId: user.id,
+                username: user.global_name || user.username,
+                role,
+                expiresAt: Date.now() + sessionHours * 60 * 60 * 1000
+            });
+            res.setHeader('Set-Cookie', [
+                serializeCookie(SESSION_COOKIE, session, { maxAgeSeconds: sessionHours * 60 * 60, secure: secureCookies }),
+                serializeCookie(STATE_COOKIE, '', { maxAgeSeconds: 0, secure: secureCookies })
+            ]);
+            res.redirect('/');
+        } catch (error) {
+            console.log('Error completing Discord login:', error.message);
+            res.status(502).json({ error: error.message });
+        }
+    }
+
+    function logout(req, res) {
+        res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAgeSeconds: 0, secure: secureCookies }));
+        res.status(204).end();
+    }
+
+    function me(req, res) {
+        const principal = authenticate(req);
+        if (!principal) {
+            return res.status(401).json({ error: 'Authentication required', discordLogin: !!oauth });
+        }
+        res.json({ ...principal, discordLogin: !!oauth });
+    }
+
+    return {
+        enabled: !disabled,
+        configured: disabled || apiKeys.length > 0 || !!oauth,
+        authenticate,
+        middleware,
+        requireRole,
+        login,
+        callback,
+        logout,
+        me
+    };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    parseApiKeys,
+    createAuth
+};
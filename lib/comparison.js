@@ -0,0 +1,76 @@
+const metricRegistry = require('./metrics');
+
+// Side-by-side figures for several guilds over the same range. Each guild's
+// numbers come from the same registered metrics as its weekly export, run
+// over its own crawl, with the range read in the guild's own timezone. The
+// ratios put guilds of very different sizes on a comparable footing.
+const COMPARED_METRICS = [
+    'membership', 'totalMembers', 'newMembers', 'activeUsers', 'messagesPosted',
+    'engagement', 'projects', 'projectsShowcased'
+];
+
+const COMPARISON_HEADER = [
+    'Guild ID', 'Guild', 'Timezone', 'Range', 'Total Members', 'Net Growth', 'Gross Joins', 'Gross Leaves',
+    'Active Users', 'Active Share', 'Messages', 'Messages per Active User', 'DAU', 'MAU', 'DAU/MAU',
+    'Projects Showcased'
+];
+
+function ratio(part, whole) {
+    return whole ? Math.round(part / whole * 1000) / 1000 : 0;
+}
+
+async function compareGuild(guild, crawl, range) {
+    const results = {};
+    const context = { showcaseChannelIds: guild.showcaseChannelIds, productKeywords: guild.productKeywords, github: null, results };
+
+    for (const metric of metricRegistry.getMetrics().filter(metric => COMPARED_METRICS.includes(metric.name))) {
+        results[metric.name] = await metric.compute(crawl, context);
+    }
+
+    return {
+        guildId: guild.id,
+        guild: guild.name,
+        timezone: guild.timezone,
+        range,
+        totalMembers: results.totalMembers,
+        netGrowth: results.newMembers,
+        grossJoins: results.membership.grossJoins,
+        grossLeaves: results.membership.grossLeaves,
+        activeUsers: results.activeUsers,
+        activeShare: ratio(results.activeUsers, results.totalMembers),
+        messagesPosted: results.messagesPosted,
+        messagesPerActiveUser: ratio(results.messagesPosted, results.activeUsers),
+        dau: results.engagement.dau,
+        mau: results.engagement.mau,
+        dauOverMau: results.engagement.dauOverMau,
+        projectsShowcased: results.projectsShowcased
+    };
+}
+
+function comparisonRow(entry) {
+    return [
+        entry.guildId,
+        entry.guild,
+        entry.timezone,
+        entry.range,
+        entry.totalMembers,
+        entry.netGrowth,
+        entry.grossJoins,
+        entry.grossLeaves,
+        entry.activeUsers,
+        entry.activeShare,
+        entry.messagesPosted,
+        entry.messagesPerActiveUser,
+        entry.dau,
+        entry.mau,
+        entry.dauOverMau,
+        entry.projectsShowcased
+    ];
+}
+
+module.exports = {
+    COMPARED_METRICS,
+    COMPARISON_HEADER,
+    compareGuild,
+    comparisonRow
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const { DEFAULT_TIMEZONE } = require('./dates');
+
+const GUILDS_CONFIG = process.env.GUILDS_CONFIG || path.join(__dirname, '..', 'config', 'guilds.json');
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '..', 'data', 'exports');
+const DEFAULT_PRODUCT_KEYWORDS = (process.env.PRODUCT_KEYWORDS || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+// Where run summaries and failure alerts go when a guild doesn't say.
+const DEFAULT_NOTIFICATIONS = {
+    discordChannelId: process.env.NOTIFY_DISCORD_CHANNEL_ID || null,
+    webhookUrl: process.env.NOTIFY_WEBHOOK_URL || null,
+    emailTo: (process.env.NOTIFY_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function list(value, field, label) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        throw new ConfigError(`${label}: ${field} must be a list of strings`);
+    }
+    return value;
+}
+
+function notifications(value, label) {
+    if (value === undefined || value === null) return DEFAULT_NOTIFICATIONS;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new ConfigError(`${label}: notifications must be an object`);
+    }
+
+    return {
+        discordChannelId: value.discordChannelId || null,
+        webhookUrl: value.webhookUrl || null,
+        emailTo: list(value.emailTo, 'notifications.emailTo', label)
+    };
+}
+
+function normalizeGuild(entry, index, baseDir) {
+    const label = `guilds[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+        throw new ConfigError(`${label} must be an object`);
+    }
+    if (!entry.id || typeof entry.id !== 'string') {
+        throw new ConfigError(`${label}: id is required`);
+    }
+
+    const timezone = entry.timezone || DEFAULT_TIMEZONE;
+    if (!moment.tz.zone(timezone)) {
+        throw new ConfigError(`${label}: unknown timezone "${timezone}"`);
+    }
+
+    const exporters = list(entry.exporters, 'exporters', label);
+    const productKeywords = list(entry.productKeywords, 'productKeywords', label);
+
+    return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        timezone,
+        showcaseChannelIds: list(entry.showcaseChannelIds, 'showcaseChannelIds', label),
+        excludedChannelIds: list(entry.excludedChannelIds, 'excludedChannelIds', label),
+        exporters: exporters.length ? exporters : ['sheets'],
+        sheetId: entry.sheetId || null,
+        exportDir: entry.exportDir ? path.resolve(baseDir, entry.exportDir) : path.join(DEFAULT_EXPORT_DIR, entry.id),
+        databaseUrl: entry.databaseUrl || null,
+        productKeywords: productKeywords.length ? productKeywords : DEFAULT_PRODUCT_KEYWORDS,
+        notifications: notifications(entry.notifications, label)
+    };
+}
+
+// Every exporter a guild enables needs somewhere to write. The summary tables
+// and sheet tabs aren't keyed by guild, so two guilds writing to the same
+// spreadsheet, directory or database would overwrite each other's rows.
+function checkTargets(guilds) {
+    const targets = [
+        ['sheets', 'sheetId'],
+        ['csv', 'exportDir'],
+        ['postgres', 'databaseUrl']
+    ];
+
+    targets.forEach(([exporter, field]) => {
+        const seen = new Map();
+        guilds.filter(guild => guild.exporters.includes(exporter)).forEach(guild => {
+            if (!guild[field]) {
+                throw new ConfigError(`Guild ${guild.id} exports to ${exporter} but has no ${field}`);
+            }
+            if (seen.has(guild[field])) {
+                throw new ConfigError(`Guilds ${seen.get(guild[field])} and ${guild.id} share the same ${field}`);
+            }
+            seen.set(guild[field], guild.id);
+        });
+    });
+}
+
+// Without a config file the single guild comes from the environment, as it
+// always has.
+function guildFromEnv() {
+    if (!process.env.GUILD_ID) return [];
+
+    return [{
+        id: process.env.GUILD_ID,
+        name: process.env.GUILD_NAME || process.env.GUILD_ID,
+        timezone: DEFAULT_TIMEZONE,
+        showcaseChannelIds: process.env.CHANNEL_ID ? [process.env.CHANNEL_ID] : [],
+        excludedChannelIds: (process.env.EXCLUDED_CHANNEL_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+        exporters: (process.env.EXPORTERS || 'sheets').split(',').map(name => name.trim()).filter(Boolean),
+        sheetId: process.env.SHEET_ID || null,
+        exportDir: process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR,
+        databaseUrl: process.env.DATABASE_URL || null,
+        productKeywords: DEFAULT_PRODUCT_KEYWORDS,
+        notifications: DEFAULT_NOTIFICATIONS
+    }];
+}
+
+// Reads the guilds to collect analytics for. The file holds
+// `{ "guilds": [...] }`, each with an id and optionally a name, timezone,
+// showcase and excluded channel IDs, the product keywords to track, its own
+// export targets and where to send run summaries and alerts.
+function loadGuilds(configPath = GUILDS_CONFIG) {
+    if (!fs.existsSync(configPath)) {
+        return guildFromEnv();
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Invalid guild config ${configPath}: ${error.message}`);
+    }
+
+    if (!config || !Array.isArray(config.guilds) || !config.guilds.length) {
+        throw new ConfigError(`${configPath} must list at least one guild under "guilds"`);
+    }
+
+    const guilds = config.guilds.map((entry, index) => normalizeGuild(entry, index, path.dirname(configPath)));
+
+    ['id', 'name'].forEach(field => {
+        const values = guilds.map(guild => guild[field]);
+        const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+        if (duplicate) {
+            throw new ConfigError(`Guild ${field} "${duplicate}" is listed more than once`);
+        }
+    });
+    checkTargets(guilds);
+
+    return guilds;
+}
+
+// A guild by id or name, or the first configured guild when none is given.
+function findGuild(guilds, ref) {
+    if (!ref) return guilds[0] || null;
+    return guilds.find(guild => guild.id === ref || guild.name === ref) || null;
+}
+
+module.exports = {
+    GUILDS_CONFIG,
+    ConfigError,
+    loadGuilds,
+    findGuild
+};
@@ -0,0 +1,293 @@
+const moment = require('moment-timezone');
+const discord = require('./discord');
+
+// What people talk about and whether their questions get answered. Built on
+// the period's messages from people (bots and deleted messages are left
+// out), with code, links, mentions and custom emoji stripped first.
+//
+// Terms and bigrams are counted once per message they appear in, so one
+// person repeating a word doesn't push it up the list. Questions are
+// question-style messages in ordinary channels and question-style posts in
+// forum channels. A question counts as answered once someone else responds:
+// for a message, a reply to it or a message in the thread started from it
+// (or, if it opened a thread, any later message there); for a forum post,
+// any message in the post from someone other than its author.
+const TOP_TERMS = Number(process.env.CONTENT_TOP_TERMS) || 25;
+
+const QUESTION_WORDS = [
+    'how', 'what', 'what\'s', 'whats', 'why', 'when', 'where', 'who', 'which',
+    'can', 'could', 'does', 'do', 'is', 'are', 'should', 'would', 'anyone', 'anybody'
+];
+
+const STOPWORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'ever',
+    'few', 'for', 'from', 'further', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+    'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like',
+    'me', 'more', 'most', 'much', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'oh', 'ok', 'okay', 'on',
+    'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'really', 'same', 'she',
+    'should', 'so', 'some', 'still', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+    'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to', 'too', 'under',
+    'until', 'up', 'us', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where',
+    'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your',
+    'yours', 'i\'m', 'i\'ve', 'i\'ll', 'i\'d', 'it\'s', 'that\'s', 'there\'s', 'don\'t', 'doesn\'t',
+    'didn\'t', 'can\'t', 'won\'t', 'isn\'t', 'aren\'t', 'wasn\'t', 'you\'re', 'we\'re', 'they\'re',
+    'what\'s', 'let\'s', 'thanks', 'thank', 'lol', 'hi', 'hey', 'hello'
+]);
+
+const FORUM_TYPES = [discord.CHANNEL_TYPES.FORUM, discord.CHANNEL_TYPES.MEDIA];
+
+const TERM_HEADER = ['Kind', 'Rank', 'Term', 'Messages'];
+const KEYWORD_HEADER = ['Keyword', 'Messages', 'Authors', 'Channels'];
+const QUESTION_HEADER = [
+    'Channel ID', 'Channel', 'Kind', 'Questions', 'Answered', 'Answered Share', 'Median First Response (min)'
+];
+
+// Message text without the parts that aren't prose.
+function proseOf(content) {
+    return (content || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/https?:\/\/\S+/gi, ' ')
+        .replace(/<(?:@[!&]?|#)\d+>/g, ' ')
+        .replace(/<a?:\w+:\d+>/g, ' ')
+        .replace(/<t:\d+(?::\w)?>/g, ' ')
+        .replace(/^>.*$/gm, ' ')
+        .replace(/\u2019/g, '\'')
+        .toLowerCase();
+}
+
+function tokenize(text) {
+    return (text.match(/[a-z0-9][a-z0-9'+#.-]*[a-z0-9+#]|[a-z]/g) || [])
+        .map(token => token.replace(/'s$/, ''));
+}
+
+function isTerm(token) {
+    return token.length >= 3 && !STOPWORDS.has(token) && !/^[\d.,-]+$/.test(token);
+}
+
+function isQuestion(text) {
+    const prose = text.trim();
+    if (!prose) return false;
+    if (prose.includes('?')) return true;
+
+    const firstWord = tokenize(prose)[0];
+    return QUESTION_WORDS.includes(firstWord);
+}
+
+function keywordPattern(keyword) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?=$|[^a-z0-9])`);
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function ranked(counts, kind, limit) {
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([term, messages], index) => ({ kind, rank: index + 1, term, messages }));
+}
+
+// Questions, how many got answered and the median minutes to the first
+// answer, from a list of { askedAt, answeredAt } (answeredAt null if none).
+function summarizeQuestions(questions) {
+    const responseMinutes = questions
+        .filter(question => question.answeredAt)
+        .map(question => question.answeredAt.diff(question.askedAt, 'minutes', true));
+    const responseMedian = median(responseMinutes);
+
+    return {
+        questions: questions.length,
+        answered: responseMinutes.length,
+        answeredShare: questions.length ? Number((responseMinutes.length / questions.length).toFixed(3)) : 0,
+        medianFirstResponseMinutes: responseMedian === null ? null : Number(responseMedian.toFixed(1))
+    };
+}
+
+// The first message after `after` from a person other than `askerId`.
+function firstResponse(messages, askerId, after) {
+    const response = messages.find(msg => (
+        msg.author && !msg.author.bot && msg.author.id !== askerId &&
+        moment(msg.timestamp).isAfter(after)
+    ));
+    return response ? moment(response.timestamp) : null;
+}
+
+function earliest(...dates) {
+    const present = dates.filter(Boolean);
+    return present.length ? moment.min(present) : null;
+}
+
+async function getContent(crawl, { keywords = [], limit = TOP_TERMS } = {}) {
+    const { startDate, endDate } = crawl;
+    const channels = await crawl.channels();
+
+    const terms = new Map();
+    const bigrams = new Map();
+    const keywordStats = keywords.map(keyword => ({
+        keyword,
+        pattern: keywordPattern(keyword),
+        messages: 0,
+        authors: new Set(),
+        channels: new Set()
+    }));
+    const questionRows = [];
+    const allMessageQuestions = [];
+    const allForumQuestions = [];
+    let analyzed = 0;
+
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    for (const channel of channels) {
+        const messages = (await crawl.channelMessages(channel.id))
+            .filter(msg => !msg.deleted && msg.author && !msg.author.bot)
+            .sort((a, b) => discord.compareSnowflakes(a.id, b.id));
+        const threads = await crawl.threads(channel.id);
+        const isForum = FORUM_TYPES.includes(channel.type);
+
+        const byContainer = new Map();
+        messages.forEach(msg => {
+            const container = msg.threadId || channel.id;
+            if (!byContainer.has(container)) byContainer.set(container, []);
+            byContainer.get(container).push(msg);
+        });
+
+        messages.forEach(msg => {
+            const prose = proseOf(msg.content);
+            const tokens = tokenize(prose);
+            analyzed++;
+
+            new Set(tokens.filter(isTerm)).forEach(term => count(terms, term));
+
+            const pairs = new Set();
+            for (let i = 1; i < tokens.length; i++) {
+                if (isTerm(tokens[i - 1]) && isTerm(tokens[i])) pairs.add(`${tokens[i - 1]} ${tokens[i]}`);
+            }
+            pairs.forEach(pair => count(bigrams, pair));
+
+            keywordStats.forEach(stat => {
+                if (!stat.pattern.test(prose)) return;
+                stat.messages++;
+                stat.authors.add(msg.author.id);
+                stat.channels.add(channel.id);
+            });
+        });
+
+        if (isForum) {
+            const posts = threads.filter(thread => {
+                const createdAt = discord.threadCreatedAt(thread);
+                return createdAt.isSameOrAfter(startDate) && createdAt.isSameOrBefore(endDate);
+            });
+
+            const questions = [];
+            posts.forEach(thread => {
+                const postMessages = byContainer.get(thread.id) || [];
+                const opening = postMessages.find(msg => msg.author.id === thread.owner_id);
+                const asked = isQuestion(proseOf(thread.name)) || (opening && isQuestion(proseOf(opening.content)));
+                if (!asked) return;
+
+                const askedAt = discord.threadCreatedAt(thread);
+                questions.push({ askedAt, answeredAt: firstResponse(postMessages, thread.owner_id, askedAt) });
+            });
+
+            allForumQuestions.push(...questions);
+            questionRows.push({ channelId: channel.id, channelName: channel.name || channel.id, kind: 'forum posts', ...summarizeQuestions(questions) });
+            continue;
+        }
+
+        const repliesTo = new Map();
+        messages.forEach(msg => {
+            const repliedId = msg.message_reference && msg.message_reference.message_id;
+            if (!repliedId) return;
+            if (!repliesTo.has(repliedId)) repliesTo.set(repliedId, []);
+            repliesTo.get(repliedId).push(msg);
+        });
+
+        const questions = messages
+            .filter(msg => isQuestion(proseOf(msg.content)))
+            .map(msg => {
+                const askedAt = moment(msg.timestamp);
+                const container = byContainer.get(msg.threadId || channel.id);
+                const opensThread = msg.threadId && container[0] === msg;
+
+                return {
+                    askedAt,
+                    answeredAt: earliest(
+                        firstResponse(repliesTo.get(msg.id) || [], msg.author.id, askedAt),
+                        firstResponse(byContainer.get(msg.id) || [], msg.author.id, askedAt),
+                        opensThread ? firstResponse(container, msg.author.id, askedAt) : null
+                    )
+                };
+            });
+
+        allMessageQuestions.push(...questions);
+        questionRows.push({ channelId: channel.id, channelName: channel.name || channel.id, kind: 'messages', ...summarizeQuestions(questions) });
+    }
+
+    return {
+        messagesAnalyzed: analyzed,
+        terms: ranked(terms, 'term', limit),
+        bigrams: ranked(bigrams, 'bigram', limit),
+        keywords: keywordStats.map(stat => ({
+            keyword: stat.keyword,
+            messages: stat.messages,
+            authors: stat.authors.size,
+            channels: stat.channels.size
+        })),
+        questions: {
+            messages: summarizeQuestions(allMessageQuestions),
+            forumPosts: summarizeQuestions(allForumQuestions),
+            channels: questionRows.filter(row => row.questions > 0)
+        }
+    };
+}
+
+function termRow(entry) {
+    return [entry.kind, entry.rank, entry.term, entry.messages];
+}
+
+function keywordRow(entry) {
+    return [entry.keyword, entry.messages, entry.authors, entry.channels];
+}
+
+function questionRow(entry) {
+    return [
+        entry.channelId,
+        entry.channelName,
+        entry.kind,
+        entry.questions,
+        entry.answered,
+        entry.answeredShare,
+        entry.medianFirstResponseMinutes === null ? '' : entry.medianFirstResponseMinutes
+    ];
+}
+
+// The per-channel rows followed by the totals for channel messages and
+// forum posts, which have no channel of their own.
+function questionRows(questions) {
+    return [
+        ...questions.channels,
+        { channelId: '', channelName: 'All channels', kind: 'messages', ...questions.messages },
+        { channelId: '', channelName: 'All forums', kind: 'forum posts', ...questions.forumPosts }
+    ];
+}
+
+module.exports = {
+    TOP_TERMS,
+    TERM_HEADER,
+    KEYWORD_HEADER,
+    QUESTION_HEADER,
+    isQuestion,
+    getContent,
+    termRow,
+    keywordRow,
+    questionRow,
+    questionRows
+};
@@ -0,0 +1,104 @@
+const discord = require('./discord');
+
+// Who did the posting. One entry per member active in the period, ranked by
+// messages, then reactions their messages received, then threads started.
+// Bots are left out unless asked for, as is anyone holding one of the
+// excluded roles, so staff don't crowd out the community on the leaderboard.
+const LEADERBOARD_SIZE = Number(process.env.LEADERBOARD_SIZE) || 10;
+const EXCLUDED_ROLE_IDS = (process.env.LEADERBOARD_EXCLUDED_ROLE_IDS || '')
+    .split(',').map(id => id.trim()).filter(Boolean);
+
+const CONTRIBUTOR_HEADER = [
+    'Rank', 'User ID', 'User', 'Messages', 'Threads Started', 'Reactions Received', 'Channels Active'
+];
+
+function displayName(user) {
+    return user.global_name || user.username || user.id;
+}
+
+function contributorRow(contributor) {
+    return [
+        contributor.rank,
+        contributor.userId,
+        contributor.username,
+        contributor.messages,
+        contributor.threadsStarted,
+        contributor.reactionsReceived,
+        contributor.channelsActive
+    ];
+}
+
+async function getContributors(crawl, { excludedRoleIds = EXCLUDED_ROLE_IDS, includeBots = false, limit = null } = {}) {
+    const { startDate, endDate } = crawl;
+    const members = await crawl.members();
+    const membersById = new Map(members.map(member => [member.user.id, member]));
+    const excluded = new Set(members
+        .filter(member => (member.roles || []).some(role => excludedRoleIds.includes(role)))
+        .map(member => member.user.id));
+
+    const isCounted = user => user && (includeBots || !user.bot) && !excluded.has(user.id);
+    const contributors = new Map();
+
+    function contributor(user) {
+        if (!contributors.has(user.id)) {
+            contributors.set(user.id, {
+                userId: user.id,
+                username: displayName(user),
+                messages: 0,
+                threadsStarted: 0,
+                reactionsReceived: 0,
+                channels: new Set()
+            });
+        }
+        return contributors.get(user.id);
+    }
+
+    const messages = await crawl.messages();
+    messages.filter(msg => !msg.deleted && isCounted(msg.author)).forEach(msg => {
+        const entry = contributor(msg.author);
+        entry.messages++;
+        entry.reactionsReceived += (msg.reactions || []).reduce((sum, reaction) => sum + reaction.count, 0);
+        entry.channels.add(msg.sourceChannelId);
+    });
+
+    for (const channel of await crawl.channels()) {
+        const threads = await crawl.threads(channel.id);
+        threads.forEach(thread => {
+            const createdAt = discord.threadCreatedAt(thread);
+            if (!thread.owner_id || createdAt.isBefore(startDate) || createdAt.isAfter(endDate)) return;
+
+            const member = membersById.get(thread.owner_id);
+            const user = member ? member.user : { id: thread.owner_id };
+            if (!isCounted(user)) return;
+
+            const entry = contributor(user);
+            entry.threadsStarted++;
+            entry.channels.add(channel.id);
+        });
+    }
+
+    const ranked = Array.from(contributors.values())
+        .map(({ channels, ...entry }) => ({ ...entry, channelsActive: channels.size }))
+        .sort((a, b) => (
+            b.messages - a.messages ||
+            b.reactionsReceived - a.reactionsReceived ||
+            b.threadsStarted - a.threadsStarted ||
+            b.channelsActive - a.channelsActive
+        ))
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    return limit ? ranked.slice(0, limit) : ranked;
+}
+
+function getLeaderboard(crawl) {
+    return getContributors(crawl, { limit: LEADERBOARD_SIZE });
+}
+
+module.exports = {
+    LEADERBOARD_SIZE,
+    EXCLUDED_ROLE_IDS,
+    CONTRIBUTOR_HEADER,
+    contributorRow,
+    getContributors,
+    getLeaderboard
+};
@@ -0,0 +1,400 @@
+const moment = require('moment-timezone');
+const discord = require('./discord');
+const store = require('./store');
+const membership = require('./membership');
+const eventlog = require('./eventlog');
+const { DEFAULT_TIMEZONE } = require('./dates');
+
+const { AUDIT_LOG_ACTIONS } = discord;
+
+const MEMBER_CACHE_TTL_MS = (Number(process.env.MEMBER_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Messages keep gaining reactions, edits and replies for a while after they're
+// posted, so every sync fetches this much from before the last one again and
+// a range isn't settled until the last sync is this far past its end.
+const SETTLE_WINDOW_MS = (Number(process.env.SETTLE_WINDOW_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// One crawl per analytics run. Each loader fetches its data the first time it
+// is asked for and hands the same promise to every later caller, so metrics
+// computed side by side share a single pass over the guild.
+//
+// Everything fetched is written to the local store, and each channel, thread
+// and audit log type keeps a sync state: the newest snowflake seen, how far
+// back it has been crawled and when it was last brought up to date. A crawl
+// only asks Discord for what falls outside that window, so a range that has
+// already been synced is served without touching the network.
+//
+// `timezone` is the guild's, for the metrics that group by day or week, and
+// channels in `excludedChannelIds` are left out of the crawl entirely.
+function createCrawl({
+    guildId,
+    startDate,
+    endDate,
+    timezone = DEFAULT_TIMEZONE,
+    extraChannelIds = [],
+    excludedChannelIds = [],
+    progress = null
+}) {
+    const cache = new Map();
+    const issues = [];
+    const retiredIssues = [];
+    let wider = null;
+
+    function once(key, load) {
+        if (!cache.has(key)) {
+            cache.set(key, load());
+        }
+        return cache.get(key);
+    }
+
+    function isCovered(state, createdAt = 0) {
+        return state &&
+            state.syncedAt >= endDate.valueOf() + SETTLE_WINDOW_MS &&
+            state.oldestAt <= Math.max(startDate.valueOf(), createdAt);
+    }
+
+    async function syncStream(key, { createdAt = 0, fetchOlder, fetchNewer, save }) {
+        const state = store.getSyncState(key);
+        if (isCovered(state, createdAt)) return;
+
+        const syncStartedAt = Date.now();
+        const rangeStart = Math.max(startDate.valueOf(), createdAt);
+        const items = [];
+        let syncedAt = state ? state.syncedAt : syncStartedAt;
+
+        if (!state) {
+            items.push(...await fetchOlder(null));
+        } else {
+            if (state.syncedAt < endDate.valueOf() + SETTLE_WINDOW_MS) {
+                const after = discord.timestampToSnowflake(state.syncedAt - SETTLE_WINDOW_MS);
+                items.push(...await fetchNewer(after));
+                syncedAt = syncStartedAt;
+            }
+            if (state.oldestAt > rangeStart) {
+                items.push(...await fetchOlder(discord.timestampToSnowflake(state.oldestAt)));
+            }
+        }
+
+        save(items);
+
+        store.setSyncState(key, {
+            oldestAt: Math.min(rangeStart, state ? state.oldestAt : Infinity),
+            syncedAt
+        });
+    }
+
+    function members() {
+        return once('members', async () => {
+            const key = `${guildId}:members`;
+            const state = store.getSyncState(key);
+            const stale = !state ||
+                (state.syncedAt < endDate.valueOf() && Date.now() - state.syncedAt > MEMBER_CACHE_TTL_MS);
+
+            if (stale) {
+                const syncStartedAt = Date.now();
+                const fetched = await discord.getAllGuildMembers(guildId);
+                const previous = state ? { members: store.getMembers(guildId), syncedAt: state.syncedAt } : null;
+
+                membership.recordSnapshot(guildId, previous, fetched, syncStartedAt);
+                store.replaceMembers(guildId, fetched);
+                store.setSyncState(key, { syncedAt: syncStartedAt });
+            }
+
+            return store.getMembers(guildId);
+        });
+    }
+
+    function auditLogs(actionType) {
+        return once(`audit:${actionType}`, async () => {
+            await syncStream(`${guildId}:audit:${actionType}`, {
+                fetchOlder: before => discord.getAllAuditLogs(guildId, actionType, startDate, before),
+                fetchNewer: after => discord.getAuditLogsAfter(guildId, actionType, after),
+                save: entries => store.saveAuditLogEntries(guildId, entries, entry => discord.snowflakeToTimestamp(entry.id))
+            });
+
+            return store.getAuditLogEntries(guildId, actionType, startDate);
+        });
+    }
+
+    // Brings the membership ledger up to date: kicks and bans from the audit
+    // log, joins and leaves from the member snapshot.
+    function membershipLedger() {
+        return once('membershipLedger', async () => {
+            membership.recordAuditEntries(guildId, await auditLogs(AUDIT_LOG_ACTIONS.MEMBER_KICK), 'kick');
+            membership.recordAuditEntries(guildId, await auditLogs(AUDIT_LOG_ACTIONS.MEMBER_BAN_ADD), 'ban');
+            await members();
+        });
+    }
+
+    function channels() {
+        return once('channels', async () => {
+            const key = `${guildId}:channels`;
+            let state = store.getSyncState(key);
+
+            if (!state || state.syncedAt < endDate.valueOf()) {
+                const syncStartedAt = Date.now();
+                state = { syncedAt: syncStartedAt, channels: await discord.getGuildChannels(guildId) };
+                store.setSyncState(key, state);
+            }
+
+            const messageable = state.channels.filter(discord.isMessageableChannel);
+
+            extraChannelIds
+                .filter(id => id && !messageable.some(channel => channel.id === id))
+                .forEach(id => messageable.push({ id }));
+
+            return messageable.filter(channel => !excludedChannelIds.includes(channel.id));
+        });
+    }
+
+    function activeThreads() {
+        return once('activeThreads', () => discord.getActiveThreads(guildId));
+    }
+
+    function threads(channelId) {
+        return once(`threads:${channelId}`, async () => {
+            const key = `threads:${channelId}`;
+            const state = store.getSyncState(key);
+
+            if (!isCovered(state)) {
+                const channel = (await channels()).find(c => c.id === channelId) || { id: channelId };
+                if (!discord.canHaveThreads(channel)) return [];
+
+                const syncStartedAt = Date.now();
+                store.saveThreads(await discord.getChannelThreads(channel, startDate, await activeThreads()));
+                store.setSyncState(key, {
+                    syncedAt: syncStartedAt,
+                    oldestAt: Math.min(startDate.valueOf(), state ? state.oldestAt : Infinity)
+                });
+            }
+
+            return store.getThreads(channelId);
+        });
+    }
+
+    // A thread can only hold messages from the range if it was created before
+    // the range ended and was still open when the range started.
+    function mayHaveActivity(thread) {
+        const meta = thread.thread_metadata || {};
+        const createdAt = discord.snowflakeToTimestamp(thread.id);
+        const closedAt = meta.archived ? Date.parse(meta.archive_timestamp) : Infinity;
+        return createdAt <= endDate.valueOf() && closedAt >= startDate.valueOf();
+    }
+
+    function syncMessages(channelOrThreadId, sourceChannelId, threadId) {
+        return syncStream(`messages:${channelOrThreadId}`, {
+            createdAt: discord.snowflakeToTimestamp(channelOrThreadId),
+            fetchOlder: before => discord.getChannelMessages(channelOrThreadId, startDate, null, before),
+            fetchNewer: after => discord.getChannelMessagesAfter(channelOrThreadId, after),
+            save: items => store.saveMessages(items, sourceChannelId, threadId)
+        });
+    }
+
+    function messages() {
+        return once('messages', async () => {
+            const crawlChannels = await channels();
+            const deletedMessageLogs = await auditLogs(AUDIT_LOG_ACTIONS.MESSAGE_DELETE);
+            const deletedMessages = new Map();
+
+            deletedMessageLogs.forEach(log => {
+                if (log.options && log.options.channel_id) {
+                    deletedMessages.set(log.target_id, {
+                        channelId: log.options.channel_id,
+                        deleteDate: moment(discord.snowflakeToTimestamp(log.id)),
+                        originalContent: log.changes?.find(c => c.key === 'content')?.old || ''
+                    });
+                }
+            });
+
+            // Authors deleting their own messages never reach the audit log,
+            // but the gateway listener sees them if it was running.
+            eventlog.getDeletions(guildId, startDate).forEach((event, messageId) => {
+                if (!deletedMessages.has(messageId)) {
+                    deletedMessages.set(messageId, {
+                        channelId: event.channelId,
+                        deleteDate: moment(event.occurredAt),
+                        originalContent: null
+                    });
+                }
+            });
+
+            const allMessages = [];
+            progress?.start(crawlChannels.length);
+
+            for (const channel of crawlChannels) {
+                try {
+                    if (discord.hasOwnMessages(channel)) {
+                        await syncMessages(channel.id, channel.id, null);
+                    }
+
+                    const channelThreads = (await threads(channel.id)).filter(mayHaveActivity);
+                    for (const thread of channelThreads) {
+                        await syncMessages(thread.id, channel.id, thread.id);
+                    }
+                } catch (error) {
+                    // The channel's cached messages are still used below, but
+                    // the gap is recorded so the metrics built on them can be
+                    // flagged as incomplete rather than quietly under-counted.
+                    console.log(`Error fetching messages for channel ${channel.id}:`, error.message);
+                    issues.push({ source: 'messages', channelId: channel.id, error: error.message });
+                }
+
+                const channelMessages = store.getMessages(channel.id, startDate, endDate);
+                channelMessages.forEach(msg => {
+                    const deleteInfo = deletedMessages.get(msg.id);
+                    if (deleteInfo && deleteInfo.channelId === (msg.threadId || channel.id)) {
+                        msg.deleted = true;
+                        msg.deleteDate = deleteInfo.deleteDate;
+                        msg.originalContent = deleteInfo.originalContent ?? msg.content;
+                    }
+                });
+                allMessages.push(...channelMessages);
+
+                progress?.advance();
+            }
+            progress?.done();
+
+            return allMessages;
+        });
+    }
+
+    // The crawl's channels and the threads under them: where the messages it
+    // counts can have been posted.
+    function channelIds() {
+        return once('channelIds', async () => {
+            const ids = new Set();
+            for (const channel of await channels()) {
+                ids.add(channel.id);
+                (await threads(channel.id)).forEach(thread => ids.add(thread.id));
+            }
+            excludedChannelIds.forEach(id => ids.delete(id));
+            return ids;
+        });
+    }
+
+    // What the gateway listener recorded during the range in the crawl's
+    // channels, and whether it was connected throughout.
+    function eventLog() {
+        return once('eventLog', async () => (
+            inChannels(eventlog.getPeriodEvents(guildId, startDate, endDate), await channelIds())
+        ));
+    }
+
+    // Messages from one top-level channel and the threads under it.
+    async function channelMessages(channelId) {
+        const all = await messages();
+        return all.filter(msg => msg.sourceChannelId === channelId);
+    }
+
+    // The same crawl reaching further back, for metrics that look at a
+    // trailing window wider than the period itself. Only the widest is kept,
+    // and narrower lookbacks are slices of it: periods computed from one crawl
+    // each look back from their own end, and a crawl apiece would hold the
+    // same messages many times over.
+    function widen(fromDate) {
+        if (fromDate.valueOf() >= startDate.valueOf()) return crawl;
+        if (!wider || fromDate.valueOf() < wider.startDate.valueOf()) {
+            if (wider) retiredIssues.push(...wider.issues());
+            wider = createCrawl({
+                guildId,
+                startDate: fromDate,
+                endDate,
+                timezone,
+                extraChannelIds,
+                excludedChannelIds
+            });
+        }
+        return fromDate.valueOf() === wider.startDate.valueOf() ? wider : wider.slice(fromDate, endDate);
+    }
+
+    // What went wrong in this crawl and in the wider ones taken from it, each
+    // failure once: a channel that can't be read usually fails in both.
+    function allIssues() {
+        const unique = new Map();
+        [...issues, ...retiredIssues, ...(wider ? wider.issues() : [])].forEach(issue => {
+            unique.set(`${issue.source}:${issue.channelId}:${issue.error}`, issue);
+        });
+        return Array.from(unique.values());
+    }
+
+    const crawl = {
+        guildId,
+        startDate,
+        endDate,
+        timezone,
+        members,
+        membershipLedger,
+        auditLogs,
+        channels,
+        threads,
+        messages,
+        channelMessages,
+        channelIds,
+        eventLog,
+        widen,
+        issues: allIssues
+    };
+    crawl.slice = (sliceStart, sliceEnd) => sliceCrawl(crawl, sliceStart, sliceEnd);
+
+    return crawl;
+}
+
+// The event log with only the events from the given channels. The listener
+// hears the whole guild, including channels the crawl leaves out.
+function inChannels(log, ids) {
+    const keep = events => events.filter(event => ids.has(event.channelId));
+    return {
+        covered: log.covered,
+        messagesCreated: keep(log.messagesCreated),
+        messagesDeleted: keep(log.messagesDeleted),
+        reactionsAdded: keep(log.reactionsAdded),
+        reactionsRemoved: keep(log.reactionsRemoved)
+    };
+}
+
+// A view of a crawl narrowed to a sub-range, for computing several periods
+// from one crawl. It has the same shape as the crawl itself, so metrics can't
+// tell the difference; nothing is fetched beyond what the parent fetches.
+function sliceCrawl(parent, startDate, endDate) {
+    const inRange = timestamp => timestamp >= startDate.valueOf() && timestamp <= endDate.valueOf();
+
+    async function auditLogs(actionType) {
+        const entries = await parent.auditLogs(actionType);
+        return entries.filter(entry => discord.snowflakeToTimestamp(entry.id) >= startDate.valueOf());
+    }
+
+    async function messages() {
+        const all = await parent.messages();
+        return all.filter(msg => inRange(Date.parse(msg.timestamp)));
+    }
+
+    async function channelMessages(channelId) {
+        const all = await messages();
+        return all.filter(msg => msg.sourceChannelId === channelId);
+    }
+
+    return {
+        guildId: parent.guildId,
+        startDate,
+        endDate,
+        timezone: parent.timezone,
+        members: parent.members,
+        membershipLedger: parent.membershipLedger,
+        auditLogs,
+        channels: parent.channels,
+        threads: parent.threads,
+        messages,
+        channelMessages,
+        channelIds: parent.channelIds,
+        eventLog: async () => (
+            inChannels(eventlog.getPeriodEvents(parent.guildId, startDate, endDate), await parent.channelIds())
+        ),
+        widen: fromDate => (fromDate.valueOf() >= startDate.valueOf()
+            ? sliceCrawl(parent, startDate, endDate)
+            : parent.widen(fromDate).slice(fromDate, endDate)),
+        issues: parent.issues,
+        slice: (sliceStart, sliceEnd) => sliceCrawl(parent, sliceStart, sliceEnd)
+    };
+}
+
+module.exports = { createCrawl };
@@ -0,0 +1,172 @@
+const moment = require('moment-timezone');
+
+// Each guild's periods run on its own calendar; this is the zone used when a
+// guild doesn't name one.
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || "America/Los_Angeles";
+
+
+function adjustToLocalTime(utcTimeStr, timezone = DEFAULT_TIMEZONE) {
+    const utcTime = moment.utc(utcTimeStr);
+    if (!utcTime.isValid()) {
+        return moment.tz(utcTimeStr, timezone);
+    }
+    return utcTime.tz(timezone);
+}
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const MAX_BUCKETS = 400;
+
+// Thrown for date input the API should reject with a 400.
+class DateRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DateRangeError';
+    }
+}
+
+const RANGE_FORMATS = ['MMM D YYYY', 'MMM DD YYYY', 'MMMM D YYYY', 'YYYY-MM-DD'];
+
+function parseDate(str, boundary, timezone) {
+    const date = moment.tz(str, RANGE_FORMATS, true, timezone);
+    if (!date.isValid()) {
+        throw new DateRangeError(`Could not read "${str}" as a date; use "Feb 5 2024" or "2024-02-05"`);
+    }
+    return boundary === 'start' ? date.startOf('day') : date.endOf('day');
+}
+
+// Reads the "MMM D YYYY - MMM D YYYY" week range used as the row key on every
+// export. ISO dates ("2024-02-05 - 2024-02-11") are accepted too.
+function parseDateRange(weekRange, { timezone = DEFAULT_TIMEZONE } = {}) {
+    const parts = String(weekRange).split(/\s+-\s+|\//).map(s => s.trim());
+    if (parts.length !== 2) {
+        throw new DateRangeError(`Expected a range like "Feb 1 2024 - Feb 7 2024", got "${weekRange}"`);
+    }
+
+    const startDate = parseDate(parts[0], 'start', timezone);
+    const endDate = parseDate(parts[1], 'end', timezone);
+
+    if (endDate.isBefore(startDate)) {
+        throw new DateRangeError(`Range "${weekRange}" ends before it starts`);
+    }
+
+    return { startDate, endDate };
+}
+
+function wholePeriod(date, unit) {
+    const isoUnit = unit === 'week' ? 'isoWeek' : unit;
+    return { startDate: date.clone().startOf(isoUnit), endDate: date.clone().endOf(isoUnit) };
+}
+
+// Turns any supported range spec into a start and end date:
+//   "Feb 1 2024 - Feb 7 2024", "2024-02-01 - 2024-02-07"  explicit ranges
+//   "2024-02-05", "Feb 5 2024"   one day
+//   "2024-W07"     an ISO week (Monday to Sunday)
+//   "2024-02"      a calendar month
+//   "today", "yesterday", "this-week", "last-week", "this-month", "last-month"
+function parseRangeSpec(spec, { now = moment(), timezone = DEFAULT_TIMEZONE } = {}) {
+    if (typeof spec !== 'string' || !spec.trim()) {
+        throw new DateRangeError('A date range is required');
+    }
+
+    const value = spec.trim();
+    const today = moment.tz(now, timezone);
+
+    const relative = {
+        'today': () => wholePeriod(today, 'day'),
+        'yesterday': () => wholePeriod(today.clone().subtract(1, 'day'), 'day'),
+        'this-week': () => wholePeriod(today, 'week'),
+        'last-week': () => wholePeriod(today.clone().subtract(1, 'week'), 'week'),
+        'this-month': () => wholePeriod(today, 'month'),
+        'last-month': () => wholePeriod(today.clone().subtract(1, 'month'), 'month')
+    };
+    if (relative[value.toLowerCase()]) {
+        return relative[value.toLowerCase()]();
+    }
+
+    const isoWeek = value.match(/^(\d{4})-W(\d{2})$/i);
+    if (isoWeek) {
+        const week = moment.tz(`${isoWeek[1]}-W${isoWeek[2]}`, 'GGGG-[W]WW', true, timezone);
+        if (!week.isValid() || week.isoWeekYear() !== Number(isoWeek[1])) {
+            throw new DateRangeError(`"${value}" is not a valid ISO week`);
+        }
+        return wholePeriod(week, 'week');
+    }
+
+    if (/^\d{4}-\d{2}$/.test(value)) {
+        const month = moment.tz(value, 'YYYY-MM', true, timezone);
+        if (!month.isValid()) {
+            throw new DateRangeError(`"${value}" is not a valid month`);
+        }
+        return wholePeriod(month, 'month');
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) || moment(value, RANGE_FORMATS, true).isValid()) {
+        return { startDate: parseDate(value, 'start', timezone), endDate: parseDate(value, 'end', timezone) };
+    }
+
+    return parseDateRange(value, { timezone });
+}
+
+// Splits a range into day, week (Monday to Sunday) or month buckets, clipped
+// to the range at either end. With no granularity the range is one bucket.
+// Each bucket carries the week range label its export rows are keyed by.
+function splitRange(startDate, endDate, granularity = null) {
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+        throw new DateRangeError(`Granularity must be one of ${GRANULARITIES.join(', ')}`);
+    }
+
+    const buckets = [];
+    let cursor = startDate.clone();
+
+    while (cursor.isSameOrBefore(endDate)) {
+        const bucketEnd = granularity
+            ? moment.min(wholePeriod(cursor, granularity).endDate, endDate.clone())
+            : endDate.clone();
+
+        buckets.push({
+            weekRange: formatDateRange(cursor, bucketEnd),
+            startDate: cursor.clone(),
+            endDate: bucketEnd
+        });
+
+        if (buckets.length > MAX_BUCKETS) {
+            throw new DateRangeError(`Range splits into more than ${MAX_BUCKETS} buckets; use a coarser granularity`);
+        }
+
+        cursor = bucketEnd.clone().add(1, 'day').startOf('day');
+    }
+
+    return buckets;
+}
+
+function resolveBuckets(spec, granularity = null, options = {}) {
+    const { startDate, endDate } = parseRangeSpec(spec, options);
+    return splitRange(startDate, endDate, granularity);
+}
+
+// The granularity a range is a whole bucket of (a single day, a Monday to
+// Sunday week or a calendar month), or null for any other range.
+function bucketGranularity(startDate, endDate) {
+    return GRANULARITIES.find(granularity => {
+        const whole = wholePeriod(startDate, granularity);
+        return whole.startDate.isSame(startDate, 'day') && whole.endDate.isSame(endDate, 'day');
+    }) || null;
+}
+
+// The inverse of parseDateRange, e.g. "Feb 5 2024 - Feb 11 2024".
+function formatDateRange(startDate, endDate) {
+    return `${startDate.format('MMM D YYYY')} - ${endDate.format('MMM D YYYY')}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    GRANULARITIES,
+    DateRangeError,
+    adjustToLocalTime,
+    parseDateRange,
+    parseRangeSpec,
+    splitRange,
+    resolveBuckets,
+    bucketGranularity,
+    formatDateRange
+};
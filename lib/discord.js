@@ -0,0 +1,490 @@
+const fetch = require('node-fetch');
+const moment = require('moment-timezone');
+
+const DISCORD_API_BASE = "https://discord.com/api/v10";
+const DISCORD_EPOCH = 1420070400000;
+
+const CHANNEL_TYPES = {
+    TEXT: 0,
+    VOICE: 2,
+    ANNOUNCEMENT: 5,
+    ANNOUNCEMENT_THREAD: 10,
+    PUBLIC_THREAD: 11,
+    PRIVATE_THREAD: 12,
+    STAGE_VOICE: 13,
+    FORUM: 15,
+    MEDIA: 16,
+    FORUM_POST: 11
+};
+
+const AUDIT_LOG_ACTIONS = {
+    MEMBER_KICK: 20,
+    MEMBER_BAN_ADD: 22,
+    MESSAGE_DELETE: 72,
+    MEMBER_UPDATE: 24,
+    MEMBER_ROLE_UPDATE: 25
+};
+
+const MAX_RETRIES = 5;
+const MAX_RATE_LIMIT_RETRIES = 10;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Where requests go and the bot token they carry. DISCORD_API_URL or
+// configure() can point the client at a local stand-in such as the mock
+// server; without a token the module still loads, and only requests fail.
+const client = {
+    apiBase: process.env.DISCORD_API_URL || DISCORD_API_BASE,
+    token: process.env.TOKEN || null
+};
+
+// Snowflake IDs carry their creation time in the top 42 bits.
+function snowflakeToTimestamp(id) {
+    return Number(BigInt(id) >> 22n) + DISCORD_EPOCH;
+}
+
+function timestampToSnowflake(timestamp) {
+    return (BigInt(Math.max(0, timestamp - DISCORD_EPOCH)) << 22n).toString();
+}
+
+function compareSnowflakes(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff === 0n ? 0 : (diff > 0n ? 1 : -1);
+}
+
+// Threads created before 2022 have no creation_timestamp, but their ID still
+// carries the time.
+function threadCreatedAt(thread) {
+    const created = thread.thread_metadata && thread.thread_metadata.creation_timestamp;
+    return moment(created || snowflakeToTimestamp(thread.id));
+}
+
+// Channels whose messages are counted, either directly or through their
+// threads. Voice and stage channels carry a text chat of their own.
+function isMessageableChannel(channel) {
+    return channel.type === CHANNEL_TYPES.TEXT || 
+           channel.type === CHANNEL_TYPES.ANNOUNCEMENT ||
+           channel.type === CHANNEL_TYPES.VOICE ||
+           channel.type === CHANNEL_TYPES.STAGE_VOICE ||
+           channel.type === CHANNEL_TYPES.FORUM ||
+           channel.type === CHANNEL_TYPES.MEDIA;
+}
+
+// Forum and media channels hold no messages themselves, only posts (threads).
+// A channel known only by ID is treated as a text channel.
+function hasOwnMessages(channel) {
+    return channel.type !== CHANNEL_TYPES.FORUM &&
+           channel.type !== CHANNEL_TYPES.MEDIA;
+}
+
+function canHaveThreads(channel) {
+    return channel.type !== CHANNEL_TYPES.VOICE &&
+           channel.type !== CHANNEL_TYPES.STAGE_VOICE;
+}
+
+class DiscordRequestError extends Error {
+    constructor(message, { status = null, endpoint = null } = {}) {
+        super(message);
+        this.name = 'DiscordRequestError';
+        this.status = status;
+        this.endpoint = endpoint;
+    }
+}
+
+// Discord rate limits per bucket, and a bucket is only known once a response
+// for the route names it in X-RateLimit-Bucket. Routes are keyed by method and
+// path with every ID but the first (the guild or channel, Discord's "major
+// parameter") collapsed, since those share a bucket.
+const rateLimits = {
+    routeBuckets: new Map(),
+    buckets: new Map(),
+    globalResetAt: 0
+};
+
+function configure({ apiBase = client.apiBase, token = client.token } = {}) {
+    client.apiBase = apiBase;
+    client.token = token;
+
+    rateLimits.routeBuckets.clear();
+    rateLimits.buckets.clear();
+    rateLimits.globalResetAt = 0;
+}
+
+function getApiBase() {
+    return client.apiBase;
+}
+
+function requestHeaders() {
+    if (!client.token) {
+        throw new DiscordRequestError('Discord API Error: no bot token configured (set TOKEN)');
+    }
+
+    return {
+        'Authorization': client.token.startsWith('Bot ') ? client.token : `Bot ${client.token}`,
+        'User-Agent': 'DiscordBot (discord-analytics-bot, 1.0.0)',
+        'Content-Type': 'application/json',
+        'X-RateLimit-Precision': 'millisecond',
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function routeKey(method, endpoint) {
+    let seenMajor = false;
+    const path = endpoint.split('?')[0].replace(/\d{15,}/g, id => {
+        if (seenMajor) return ':id';
+        seenMajor = true;
+        return id;
+    });
+    return `${method} ${path}`;
+}
+
+// Waits until neither the global limit nor the route's bucket is exhausted,
+// then takes one request from the bucket so concurrent callers queue behind it.
+async function waitForRateLimit(route) {
+    while (true) {
+        const now = Date.now();
+        const bucket = rateLimits.buckets.get(rateLimits.routeBuckets.get(route));
+        const bucketWait = bucket && bucket.remaining <= 0 ? bucket.resetAt - now : 0;
+        const wait = Math.max(rateLimits.globalResetAt - now, bucketWait);
+
+        if (wait <= 0) {
+            if (bucket) {
+                if (bucket.resetAt <= now) bucket.remaining = bucket.limit;
+                bucket.remaining--;
+            }
+            return;
+        }
+
+        await sleep(wait);
+    }
+}
+
+function updateRateLimit(route, headers) {
+    const bucketId = headers.get('x-ratelimit-bucket');
+    if (!bucketId) return;
+
+    rateLimits.routeBuckets.set(route, bucketId);
+    rateLimits.buckets.set(bucketId, {
+        limit: Number(headers.get('x-ratelimit-limit')) || 1,
+        remaining: Number(headers.get('x-ratelimit-remaining')),
+        resetAt: Date.now() + Number(headers.get('x-ratelimit-reset-after') || 0) * 1000
+    });
+}
+
+function retryDelay(attempt) {
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return backoff + Math.random() * backoff;
+}
+
+function isTransient(error) {
+    return error.name === 'FetchError' || (error.status && error.status >= 500);
+}
+
+async function makeDiscordRequest(endpoint, method = "GET", ignore403 = false, body = null) {
+    const url = `${client.apiBase}${endpoint}`;
+    const headers = requestHeaders();
+    const route = routeKey(method, endpoint);
+    let attempts = 0;
+    let rateLimitHits = 0;
+
+    while (true) {
+        await waitForRateLimit(route);
+
+        try {
+            const response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+            updateRateLimit(route, response.headers);
+
+            if (response.status === 429) {
+                const data = await response.json();
+                const retryAfterMs = data.retry_after * 1000;
+                const isGlobal = data.global || response.headers.get('x-ratelimit-global') === 'true';
+
+                if (++rateLimitHits > MAX_RATE_LIMIT_RETRIES) {
+                    throw new DiscordRequestError('Discord API Error: still rate limited after retries', { status: 429, endpoint });
+                }
+
+                console.log(`Rate limited${isGlobal ? ' (global)' : ''}. Waiting ${data.retry_after} seconds...`);
+                if (isGlobal) {
+                    rateLimits.globalResetAt = Date.now() + retryAfterMs;
+                } else {
+                    await sleep(retryAfterMs);
+                }
+                continue;
+            }
+
+            if (response.status === 403 && ignore403) {
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new DiscordRequestError(`Discord API Error: ${response.status} ${response.statusText}`, {
+                    status: response.status,
+                    endpoint
+                });
+            }
+
+            const data = await response.json();
+            console.log(`Request successful: ${url}`);
+            return data;
+        } catch (error) {
+            if (isTransient(error) && attempts < MAX_RETRIES) {
+                const delay = retryDelay(attempts++);
+                console.log(`Request failed: ${url}, retrying in ${Math.round(delay)}ms`, { error: error.message });
+                await sleep(delay);
+                continue;
+            }
+
+            console.log(`Request failed: ${url}`, { error: error.message });
+            throw error;
+        }
+    }
+}
+
+async function getAuditLogs(guildId, actionType, before = null, limit = 100, after = null) {
+    let endpoint = `/guilds/${guildId}/audit-logs?action_type=${actionType}&limit=${limit}`;
+    if (before) {
+        endpoint += `&before=${before}`;
+    }
+    if (after) {
+        endpoint += `&after=${after}`;
+    }
+    return await makeDiscordRequest(endpoint);
+}
+
+async function getAllAuditLogs(guildId, actionType, startDate, before = null) {
+    const logs = [];
+    let lastId = before;
+
+    while (true) {
+        const batch = await getAuditLogs(guildId, actionType, lastId);
+
+        if (!batch || !batch.audit_log_entries.length) break;
+
+        const relevantEntries = batch.audit_log_entries.filter(entry => {
+            const entryTime = moment(snowflakeToTimestamp(entry.id));
+            return entryTime.isSameOrAfter(startDate);
+        });
+
+        logs.push(...relevantEntries);
+
+        // Only break if this batch had no relevant entries at all
+        if (relevantEntries.length === 0) break;
+
+        lastId = batch.audit_log_entries[batch.audit_log_entries.length - 1].id;
+    }
+
+    return logs;
+}
+
+// Pages forward through entries newer than afterId.
+async function getAuditLogsAfter(guildId, actionType, afterId) {
+    const logs = [];
+    let lastId = afterId;
+
+    while (true) {
+        const batch = await getAuditLogs(guildId, actionType, null, 100, lastId);
+        if (!batch || !batch.audit_log_entries.length) break;
+
+        const entries = batch.audit_log_entries.slice().sort((a, b) => compareSnowflakes(a.id, b.id));
+        logs.push(...entries);
+
+        if (entries.length < 100) break;
+        lastId = entries[entries.length - 1].id;
+    }
+
+    return logs;
+}
+
+async function getGuildInfo(guildId) {
+    return await makeDiscordRequest(`/guilds/${guildId}?with_counts=true`);
+}
+
+async function getGatewayUrl() {
+    const data = await makeDiscordRequest('/gateway/bot');
+    return data.url;
+}
+
+async function getGuildChannels(guildId) {
+    return await makeDiscordRequest(`/guilds/${guildId}/channels`);
+}
+
+// One member of the guild, or null if the user isn't in it.
+async function getGuildMember(guildId, userId) {
+    try {
+        return await makeDiscordRequest(`/guilds/${guildId}/members/${userId}`);
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// Posts a plain text message as the bot. Mentions in it are not pinged.
+async function createChannelMessage(channelId, content) {
+    return await makeDiscordRequest(`/channels/${channelId}/messages`, 'POST', false, {
+        content,
+        allowed_mentions: { parse: [] }
+    });
+}
+
+async function getAllGuildMembers(guildId) {
+    let allMembers = [];
+    let after = '0';
+
+    while (true) {
+        const endpoint = `/guilds/${guildId}/members?limit=1000${after !== '0' ? `&after=${after}` : ''}`;
+        const batch = await makeDiscordRequest(endpoint);
+
+        if (!batch || batch.length === 0) break;
+
+        allMembers = allMembers.concat(batch);
+
+        if (batch.length < 1000) break;
+
+        after = batch[batch.length - 1].user.id;
+    }
+
+    return allMembers;
+}
+
+async function getActiveThreads(guildId) {
+    const active = await makeDiscordRequest(`/guilds/${guildId}/threads/active`, "GET", true);
+    return active && active.threads ? active.threads : [];
+}
+
+// Pages through a channel's archived threads, newest archive first, stopping
+// at the first thread archived before startDate: nothing was posted in it
+// after that.
+async function getArchivedThreads(channelId, visibility, startDate) {
+    const threads = [];
+    let before = null;
+
+    while (true) {
+        const endpoint = `/channels/${channelId}/threads/archived/${visibility}?limit=100${before ? `&before=${encodeURIComponent(before)}` : ''}`;
+        const page = await makeDiscordRequest(endpoint, "GET", true);
+
+        if (!page || !page.threads || page.threads.length === 0) break;
+
+        let reachedEnd = false;
+        for (const thread of page.threads) {
+            if (moment(thread.thread_metadata.archive_timestamp).isBefore(startDate)) {
+                reachedEnd = true;
+                break;
+            }
+            threads.push(thread);
+        }
+
+        if (reachedEnd || !page.has_more) break;
+        before = page.threads[page.threads.length - 1].thread_metadata.archive_timestamp;
+    }
+
+    return threads;
+}
+
+// Every thread under a channel that could hold messages from startDate on:
+// its active threads (from the guild-wide list) plus its public and, for text
+// channels, private archives. Private archives need Manage Threads and are
+// skipped without it.
+async function getChannelThreads(channel, startDate, activeThreads) {
+    const threads = new Map();
+
+    activeThreads
+        .filter(thread => thread.parent_id === channel.id)
+        .forEach(thread => threads.set(thread.id, thread));
+
+    const archivedPublic = await getArchivedThreads(channel.id, 'public', startDate);
+    archivedPublic.forEach(thread => threads.set(thread.id, thread));
+
+    if (channel.type === undefined || channel.type === CHANNEL_TYPES.TEXT) {
+        const archivedPrivate = await getArchivedThreads(channel.id, 'private', startDate);
+        archivedPrivate.forEach(thread => threads.set(thread.id, thread));
+    }
+
+    return Array.from(threads.values());
+}
+
+// Pages backwards from the newest message in a channel or thread (or from
+// `before`, when given) until it passes startDate, keeping the messages posted
+// inside the range. A null endDate keeps everything newer than startDate.
+// A channel the bot can't read is an error rather than an empty page, so the
+// crawl records the gap instead of taking the channel as synced.
+async function getChannelMessages(channelOrThreadId, startDate, endDate, before = null) {
+    const channelMessages = [];
+    let messageLastId = before;
+
+    while (true) {
+        const endpoint = `/channels/${channelOrThreadId}/messages?limit=100${messageLastId ? `&before=${messageLastId}` : ''}`;
+        const batch = await makeDiscordRequest(endpoint);
+
+        if (!batch || batch.length === 0) break;
+
+        let reachedEnd = false;
+        for (const msg of batch) {
+            const msgTime = moment.utc(msg.timestamp);
+            if (msgTime.isBefore(startDate)) {
+                reachedEnd = true;
+                break;
+            }
+            if (!endDate || msgTime.isSameOrBefore(endDate)) {
+                channelMessages.push(msg);
+            }
+        }
+
+        if (reachedEnd) break;
+        messageLastId = batch[batch.length - 1].id;
+    }
+    return channelMessages;
+}
+
+// Pages forward through every message newer than afterId.
+async function getChannelMessagesAfter(channelOrThreadId, afterId) {
+    const channelMessages = [];
+    let messageLastId = afterId;
+
+    while (true) {
+        const endpoint = `/channels/${channelOrThreadId}/messages?limit=100&after=${messageLastId}`;
+        const batch = await makeDiscordRequest(endpoint);
+
+        if (!batch || batch.length === 0) break;
+
+        const ordered = batch.slice().sort((a, b) => compareSnowflakes(a.id, b.id));
+        channelMessages.push(...ordered);
+
+        if (batch.length < 100) break;
+        messageLastId = ordered[ordered.length - 1].id;
+    }
+
+    return channelMessages;
+}
+
+module.exports = {
+    DISCORD_API_BASE,
+    CHANNEL_TYPES,
+    AUDIT_LOG_ACTIONS,
+    DiscordRequestError,
+    configure,
+    getApiBase,
+    snowflakeToTimestamp,
+    timestampToSnowflake,
+    compareSnowflakes,
+    threadCreatedAt,
+    isMessageableChannel,
+    hasOwnMessages,
+    canHaveThreads,
+    makeDiscordRequest,
+    getAuditLogs,
+    getAllAuditLogs,
+    getAuditLogsAfter,
+    getGuildInfo,
+    getGatewayUrl,
+    getGuildChannels,
+    getGuildMember,
+    createChannelMessage,
+    getAllGuildMembers,
+    getActiveThreads,
+    getArchivedThreads,
+    getChannelThreads,
+    getChannelMessages,
+    getChannelMessagesAfter
+};
@@ -0,0 +1,181 @@
+const moment = require('moment-timezone');
+const membership = require('./membership');
+const { DEFAULT_TIMEZONE } = require('./dates');
+
+// Engagement and retention, built on who posted when and when they joined.
+// A member counts as active on a day they posted a message that hasn't been
+// deleted. New active users joined during the period; everyone else active in
+// it is returning.
+const WAU_DAYS = 7;
+const MAU_DAYS = 30;
+const COHORT_WEEKS = Number(process.env.COHORT_WEEKS) || 8;
+
+// Days and weeks are the guild's own, in its timezone.
+function localDay(time, timezone) {
+    return moment.tz(time, timezone).startOf('day');
+}
+
+function weekStart(time, timezone) {
+    return moment.tz(time, timezone).startOf('isoWeek');
+}
+
+function weekLabel(week) {
+    return week.format('GGGG-[W]WW');
+}
+
+function ratio(part, whole) {
+    return whole ? Math.round(part / whole * 1000) / 1000 : 0;
+}
+
+function postings(messages) {
+    return messages
+        .filter(msg => !msg.deleted && msg.author)
+        .map(msg => ({ userId: msg.author.id, time: Date.parse(msg.timestamp) }));
+}
+
+function activeBetween(posts, start, end) {
+    return new Set(posts
+        .filter(post => post.time >= start.valueOf() && post.time <= end.valueOf())
+        .map(post => post.userId));
+}
+
+// MAU looks back a month from the end of the period, so the crawl behind the
+// summary has to reach at least that far.
+function lookbackStart(endDate, timezone = DEFAULT_TIMEZONE) {
+    return localDay(endDate, timezone).subtract(MAU_DAYS - 1, 'days');
+}
+
+function summarizeEngagement(messages, joins, startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+    const posts = postings(messages);
+    const active = activeBetween(posts, startDate, endDate);
+    const newActive = Array.from(active).filter(userId => {
+        const joinedAt = joins.get(userId);
+        return joinedAt !== undefined && joinedAt >= startDate.valueOf() && joinedAt <= endDate.valueOf();
+    });
+
+    const dailyCounts = [];
+    for (const day = localDay(startDate, timezone); day.isSameOrBefore(endDate); day.add(1, 'day')) {
+        const dayStart = moment.max(day.clone(), moment(startDate));
+        const dayEnd = moment.min(day.clone().endOf('day'), moment(endDate));
+        dailyCounts.push(activeBetween(posts, dayStart, dayEnd).size);
+    }
+
+    const dau = dailyCounts.length
+        ? Math.round(dailyCounts.reduce((sum, count) => sum + count, 0) / dailyCounts.length * 100) / 100
+        : 0;
+    const wau = activeBetween(posts, localDay(endDate, timezone).subtract(WAU_DAYS - 1, 'days'), endDate).size;
+    const mau = activeBetween(posts, lookbackStart(endDate, timezone), endDate).size;
+
+    return {
+        activeUsers: active.size,
+        newActiveUsers: newActive.length,
+        returningActiveUsers: active.size - newActive.length,
+        dau,
+        wau,
+        mau,
+        dauOverMau: ratio(dau, mau),
+        dauOverWau: ratio(dau, wau)
+    };
+}
+
+// Members grouped by the week they joined, with the share of each cohort that
+// posted in every week from then until the end of the range.
+function buildCohorts(messages, joins, endDate, timezone = DEFAULT_TIMEZONE) {
+    const activeByWeek = new Map();
+    postings(messages).forEach(post => {
+        const week = weekLabel(weekStart(post.time, timezone));
+        if (!activeByWeek.has(week)) activeByWeek.set(week, new Set());
+        activeByWeek.get(week).add(post.userId);
+    });
+
+    const cohorts = new Map();
+    joins.forEach((joinedAt, userId) => {
+        const week = weekLabel(weekStart(joinedAt, timezone));
+        if (!cohorts.has(week)) cohorts.set(week, []);
+        cohorts.get(week).push(userId);
+    });
+
+    return Array.from(cohorts.keys()).sort().map(cohortWeek => {
+        const members = cohorts.get(cohortWeek);
+        const weeks = [];
+
+        for (const week = weekStart(joins.get(members[0]), timezone); week.isSameOrBefore(endDate); week.add(1, 'week')) {
+            const active = activeByWeek.get(weekLabel(week)) || new Set();
+            const activeMembers = members.filter(userId => active.has(userId)).length;
+            weeks.push({
+                week: weekLabel(week),
+                weeksSinceJoin: weeks.length,
+                activeMembers,
+                retention: ratio(activeMembers, members.length)
+            });
+        }
+
+        return { cohortWeek, size: members.length, weeks };
+    });
+}
+
+// The crawl-level entry points used by the metric registry and the reports.
+
+async function getEngagement(crawl) {
+    const { guildId, startDate, endDate, timezone } = crawl;
+    await crawl.membershipLedger();
+
+    const history = crawl.widen(lookbackStart(endDate, timezone));
+    return summarizeEngagement(
+        await history.messages(),
+        membership.getJoins(guildId, startDate, endDate),
+        startDate,
+        endDate,
+        timezone
+    );
+}
+
+// Every cohort that joined within the range.
+async function getCohorts(crawl) {
+    const { guildId, startDate, endDate, timezone } = crawl;
+    await crawl.membershipLedger();
+
+    return buildCohorts(await crawl.messages(), membership.getJoins(guildId, startDate, endDate), endDate, timezone);
+}
+
+// How the cohorts of the last COHORT_WEEKS weeks did in this period: one row
+// per cohort with the share of it that posted. The weeks count back from the
+// one the period ends in, so a month covers the cohorts of all its weeks.
+async function getPeriodRetention(crawl) {
+    const { guildId, startDate, endDate, timezone } = crawl;
+    await crawl.membershipLedger();
+
+    const periodWeek = weekStart(endDate, timezone);
+    const joins = membership.getJoins(guildId, periodWeek.clone().subtract(COHORT_WEEKS - 1, 'weeks'), endDate);
+    const active = activeBetween(postings(await crawl.messages()), startDate, endDate);
+
+    const rows = [];
+    for (let weeksSinceJoin = COHORT_WEEKS - 1; weeksSinceJoin >= 0; weeksSinceJoin--) {
+        const cohortStart = periodWeek.clone().subtract(weeksSinceJoin, 'weeks');
+        const cohortEnd = cohortStart.clone().endOf('isoWeek');
+        const members = Array.from(joins.keys()).filter(userId => (
+            joins.get(userId) >= cohortStart.valueOf() && joins.get(userId) <= cohortEnd.valueOf()
+        ));
+        const activeMembers = members.filter(userId => active.has(userId)).length;
+
+        rows.push({
+            cohortWeek: weekLabel(cohortStart),
+            weeksSinceJoin,
+            cohortSize: members.length,
+            activeMembers,
+            retention: ratio(activeMembers, members.length)
+        });
+    }
+
+    return rows;
+}
+
+module.exports = {
+    COHORT_WEEKS,
+    lookbackStart,
+    summarizeEngagement,
+    buildCohorts,
+    getEngagement,
+    getCohorts,
+    getPeriodRetention
+};
@@ -0,0 +1,123 @@
+const store = require('./store');
+const membership = require('./membership');
+
+// What the gateway listener heard, kept so the metrics can count things the
+// REST API only shows as they are now: messages since deleted by their own
+// authors, reactions added and taken away, members who left.
+const RECORDED_EVENTS = [
+    'MESSAGE_CREATE',
+    'MESSAGE_DELETE',
+    'MESSAGE_DELETE_BULK',
+    'MESSAGE_REACTION_ADD',
+    'MESSAGE_REACTION_REMOVE',
+    'GUILD_MEMBER_ADD',
+    'GUILD_MEMBER_REMOVE',
+    'THREAD_CREATE',
+    'THREAD_UPDATE',
+    'THREAD_DELETE'
+];
+
+function eventRecord(type, data, receivedAt) {
+    switch (type) {
+        case 'MESSAGE_CREATE':
+            return {
+                channelId: data.channel_id,
+                messageId: data.id,
+                userId: data.author ? data.author.id : null,
+                occurredAt: Date.parse(data.timestamp) || receivedAt
+            };
+        case 'MESSAGE_DELETE':
+            return { channelId: data.channel_id, messageId: data.id };
+        case 'MESSAGE_REACTION_ADD':
+        case 'MESSAGE_REACTION_REMOVE':
+            return { channelId: data.channel_id, messageId: data.message_id, userId: data.user_id };
+        case 'GUILD_MEMBER_ADD':
+        case 'GUILD_MEMBER_REMOVE':
+            return { userId: data.user.id };
+        default:
+            return { channelId: data.parent_id || null };
+    }
+}
+
+// Dispatch handler for the gateway client. Only events from the given guilds
+// are kept; bulk deletes are split into one MESSAGE_DELETE per message.
+function createRecorder(guildIds) {
+    function record(type, data, receivedAt) {
+        store.saveGatewayEvent({
+            guildId: data.guild_id,
+            type,
+            occurredAt: receivedAt,
+            ...eventRecord(type, data, receivedAt),
+            data
+        });
+    }
+
+    function onDispatch(type, data) {
+        if (!RECORDED_EVENTS.includes(type) || !data || !guildIds.includes(data.guild_id)) return;
+
+        const receivedAt = Date.now();
+        if (type === 'MESSAGE_DELETE_BULK') {
+            data.ids.forEach(id => record('MESSAGE_DELETE', { id, channel_id: data.channel_id, guild_id: data.guild_id }, receivedAt));
+            return;
+        }
+
+        record(type, data, receivedAt);
+
+        if (type === 'GUILD_MEMBER_ADD') {
+            membership.recordGatewayJoin(data.guild_id, data, receivedAt);
+        } else if (type === 'GUILD_MEMBER_REMOVE') {
+            membership.recordGatewayLeave(data.guild_id, data.user.id, receivedAt);
+        } else if (type === 'THREAD_CREATE' || type === 'THREAD_UPDATE') {
+            store.saveThreads([data]);
+        }
+    }
+
+    function onSession(event, sessionId) {
+        store.touchGatewaySession(sessionId, Date.now());
+    }
+
+    return { onDispatch, onSession };
+}
+
+// Whether the listener was connected for the whole of a period. Overlapping
+// sessions are merged; a gap between them means events were missed.
+function covers(startDate, endDate) {
+    const spans = [];
+
+    store.getGatewaySessions().forEach(session => {
+        const last = spans[spans.length - 1];
+        if (last && session.startedAt <= last.end) {
+            last.end = Math.max(last.end, session.lastSeenAt);
+        } else {
+            spans.push({ start: session.startedAt, end: session.lastSeenAt });
+        }
+    });
+
+    return spans.some(span => span.start <= startDate.valueOf() && span.end >= endDate.valueOf());
+}
+
+function getPeriodEvents(guildId, startDate, endDate) {
+    const events = type => store.getGatewayEvents(guildId, [type], startDate, endDate);
+
+    return {
+        covered: covers(startDate, endDate),
+        messagesCreated: events('MESSAGE_CREATE'),
+        messagesDeleted: events('MESSAGE_DELETE'),
+        reactionsAdded: events('MESSAGE_REACTION_ADD'),
+        reactionsRemoved: events('MESSAGE_REACTION_REMOVE')
+    };
+}
+
+// Messages the listener saw deleted at or after a point in time, by ID.
+function getDeletions(guildId, since) {
+    const deletions = store.getGatewayEvents(guildId, ['MESSAGE_DELETE'], since, Date.now());
+    return new Map(deletions.map(event => [event.messageId, event]));
+}
+
+module.exports = {
+    RECORDED_EVENTS,
+    createRecorder,
+    covers,
+    getPeriodEvents,
+    getDeletions
+};
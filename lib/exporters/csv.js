@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const metricRegistry = require('../metrics');
+
+function formatCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatCsvValue).join(',')).join('\n') + '\n';
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// One CSV file per table, laid out like the matching sheet tab: a header row,
+// then one or more rows per week range with the newest week first.
+function createCsvExporter({ directory }) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    function fileFor(name) {
+        return path.join(directory, `${name}.csv`);
+    }
+
+    async function upsertSummaries(entries) {
+        const file = fileFor('summary');
+        const [header, ...rows] = fs.existsSync(file)
+            ? parseCsv(fs.readFileSync(file, 'utf8'))
+            : [metricRegistry.summaryHeader()];
+
+        entries.forEach(({ weekRange, metrics }) => {
+            const newRow = metricRegistry.buildSheetRow(weekRange, metrics);
+            const existingRowIndex = rows.findIndex(row => row[0] === weekRange);
+
+            if (existingRowIndex !== -1) {
+                rows[existingRowIndex] = newRow;
+            } else {
+                rows.unshift(newRow);
+            }
+        });
+
+        fs.writeFileSync(file, formatCsv([header, ...rows]));
+    }
+
+    async function replaceRows(table, entries) {
+        const file = fileFor(table.name);
+        const weekRanges = new Set(entries.map(entry => entry.weekRange));
+        const existingRows = fs.existsSync(file)
+            ? parseCsv(fs.readFileSync(file, 'utf8')).slice(1).filter(row => !weekRanges.has(row[0]))
+            : [];
+        const newRows = entries.slice().reverse().flatMap(entry => entry.rows);
+
+        fs.writeFileSync(file, formatCsv([table.header, ...newRows, ...existingRows]));
+    }
+
+    return { name: 'csv', upsertSummaries, replaceRows };
+}
+
+module.exports = { createCsvExporter, formatCsv, parseCsv };
@@ -0,0 +1,166 @@
+const { createSheetsExporter } = require('./sheets');
+const { createCsvExporter } = require('./csv');
+const { createJsonlExporter } = require('./jsonl');
+const { createPostgresExporter } = require('./postgres');
+const { createLocalExporter } = require('./local');
+const { CONTRIBUTOR_HEADER, contributorRow } = require('../contributors');
+const { PROJECT_HEADER, projectRow } = require('../projects');
+const content = require('../content');
+const { MODERATION_HEADER, moderationRows } = require('../moderation');
+
+// Every exporter implements the same two calls. Both take a batch of week
+// ranges, oldest first, and are keyed on the week range so re-running a week
+// replaces its output rather than duplicating it:
+//   upsertSummaries([{ weekRange, metrics }])  the one-row-per-week summary
+//   replaceRows(table, [{ weekRange, rows }])  each week's rows in one of TABLES
+const EXPORTERS = {
+    sheets: options => createSheetsExporter({
+        spreadsheetId: options.sheetId,
+        credentials: options.googleCredentials,
+        client: options.sheetsClient
+    }),
+    csv: options => createCsvExporter({ directory: options.exportDir }),
+    jsonl: options => createJsonlExporter({ directory: options.exportDir }),
+    postgres: options => createPostgresExporter({ connectionString: options.databaseUrl }),
+    local: options => createLocalExporter({ guildId: options.guildId, timezone: options.timezone })
+};
+
+// Tables written alongside the summary. Each row starts with the week range.
+const TABLES = [
+    {
+        name: 'channels',
+        title: 'Channels',
+        header: ['Week Range', 'Channel', 'Thread', 'Messages', 'Reactions', 'Active Users', 'Threads Created'],
+        rows: (weekRange, metrics) => (metrics.channelBreakdown || []).map(row => [
+            weekRange,
+            row.channelName,
+            row.threadName || '',
+            row.messages,
+            row.reactions,
+            row.activeUsers,
+            row.threadsCreated
+        ])
+    },
+    {
+        name: 'engagement',
+        title: 'Engagement',
+        header: [
+            'Week Range', 'Active Users', 'New Active Users', 'Returning Active Users',
+            'DAU', 'WAU', 'MAU', 'DAU/MAU', 'DAU/WAU'
+        ],
+        rows: (weekRange, { engagement }) => (engagement ? [[
+            weekRange,
+            engagement.activeUsers,
+            engagement.newActiveUsers,
+            engagement.returningActiveUsers,
+            engagement.dau,
+            engagement.wau,
+            engagement.mau,
+            engagement.dauOverMau,
+            engagement.dauOverWau
+        ]] : [])
+    },
+    {
+        name: 'cohorts',
+        title: 'Cohorts',
+        header: ['Week Range', 'Cohort Week', 'Weeks Since Join', 'Cohort Size', 'Active Members', 'Retention'],
+        rows: (weekRange, metrics) => (metrics.cohortRetention || []).map(row => [
+            weekRange,
+            row.cohortWeek,
+            row.weeksSinceJoin,
+            row.cohortSize,
+            row.activeMembers,
+            row.retention
+        ])
+    },
+    {
+        name: 'contributors',
+        title: 'Leaderboard',
+        header: ['Week Range', ...CONTRIBUTOR_HEADER],
+        rows: (weekRange, metrics) => (metrics.topContributors || []).map(row => [weekRange, ...contributorRow(row)])
+    },
+    {
+        name: 'terms',
+        title: 'Terms',
+        header: ['Week Range', ...content.TERM_HEADER],
+        rows: (weekRange, metrics) => (metrics.content
+            ? [...metrics.content.terms, ...metrics.content.bigrams].map(entry => [weekRange, ...content.termRow(entry)])
+            : [])
+    },
+    {
+        name: 'keywords',
+        title: 'Keywords',
+        header: ['Week Range', ...content.KEYWORD_HEADER],
+        rows: (weekRange, metrics) => (metrics.content
+            ? metrics.content.keywords.map(entry => [weekRange, ...content.keywordRow(entry)])
+            : [])
+    },
+    {
+        name: 'questions',
+        title: 'Questions',
+        header: ['Week Range', ...content.QUESTION_HEADER],
+        rows: (weekRange, metrics) => (metrics.content
+            ? content.questionRows(metrics.content.questions).map(entry => [weekRange, ...content.questionRow(entry)])
+            : [])
+    },
+    {
+        name: 'moderation',
+        title: 'Moderation',
+        header: ['Week Range', ...MODERATION_HEADER],
+        rows: (weekRange, metrics) => (metrics.moderation
+            ? moderationRows(metrics.moderation).map(row => [weekRange, ...row])
+            : [])
+    },
+    {
+        name: 'projects',
+        title: 'Projects',
+        header: ['Week Range', ...PROJECT_HEADER],
+        rows: (weekRange, metrics) => (metrics.projects || []).map(project => [
+            weekRange,
+            ...projectRow(project, (metrics.repoStats || {})[project.key])
+        ])
+    }
+];
+
+function createExporters(names, options) {
+    return names.map(name => {
+        const create = EXPORTERS[name];
+        if (!create) {
+            throw new Error(`Unknown exporter: ${name}`);
+        }
+        return create(options);
+    });
+}
+
+// Sends the results of one or more periods to every exporter. One failing
+// exporter doesn't stop the others; the failures are collected and thrown
+// together at the end.
+async function exportMetrics(exporters, entries) {
+    const failures = [];
+
+    for (const exporter of exporters) {
+        try {
+            await exporter.upsertSummaries(entries);
+            for (const table of TABLES) {
+                await exporter.replaceRows(table, entries.map(({ weekRange, metrics }) => ({
+                    weekRange,
+                    rows: table.rows(weekRange, metrics)
+                })));
+            }
+        } catch (error) {
+            console.log(`Export to ${exporter.name} failed`, { error: error.message });
+            failures.push(`${exporter.name}: ${error.message}`);
+        }
+    }
+
+    if (failures.length) {
+        throw new Error(`Export failed (${failures.join('; ')})`);
+    }
+}
+
+module.exports = {
+    EXPORTERS,
+    TABLES,
+    createExporters,
+    exportMetrics
+};
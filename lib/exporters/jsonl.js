@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+function readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+function writeLines(file, records) {
+    fs.writeFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+// One JSON object per line. The summary file keeps one line per week range,
+// updated in place; table files keep one line per row, keyed by the table
+// header, with a week's rows replaced together.
+function createJsonlExporter({ directory }) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    function fileFor(name) {
+        return path.join(directory, `${name}.jsonl`);
+    }
+
+    async function upsertSummaries(entries) {
+        const file = fileFor('summary');
+        const records = readLines(file);
+        const exportedAt = new Date().toISOString();
+
+        entries.forEach(({ weekRange, metrics }) => {
+            const record = { weekRange, metrics, exportedAt };
+            const existingIndex = records.findIndex(existing => existing.weekRange === weekRange);
+
+            if (existingIndex !== -1) {
+                records[existingIndex] = record;
+            } else {
+                records.push(record);
+            }
+        });
+
+        writeLines(file, records);
+    }
+
+    async function replaceRows(table, entries) {
+        const file = fileFor(table.name);
+        const weekRanges = new Set(entries.map(entry => entry.weekRange));
+        const records = readLines(file).filter(record => !weekRanges.has(record.weekRange));
+
+        entries.forEach(({ weekRange, rows }) => {
+            rows.forEach(row => {
+                const record = { weekRange };
+                table.header.slice(1).forEach((column, index) => {
+                    record[column] = row[index + 1];
+                });
+                records.push(record);
+            });
+        });
+
+        writeLines(file, records);
+    }
+
+    return { name: 'jsonl', upsertSummaries, replaceRows };
+}
+
+module.exports = { createJsonlExporter };
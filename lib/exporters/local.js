@@ -0,0 +1,36 @@
+const store = require('../store');
+const { parseDateRange, bucketGranularity } = require('../dates');
+
+// Keeps every export in the local store as well, keyed by guild, so the
+// dashboard can read past periods back without going through the Sheet.
+// Table rows are stored as objects keyed by the table header, like the
+// jsonl and postgres exporters.
+function createLocalExporter({ guildId, timezone }) {
+    if (!guildId) {
+        throw new Error('The local exporter needs a guild');
+    }
+
+    async function upsertSummaries(entries) {
+        store.saveResults(guildId, entries.map(({ weekRange, metrics }) => {
+            const { startDate, endDate } = parseDateRange(weekRange, { timezone });
+            return { weekRange, granularity: bucketGranularity(startDate, endDate), startDate, endDate, metrics };
+        }));
+    }
+
+    async function replaceRows(table, entries) {
+        store.replaceResultRows(guildId, table.name, entries.map(({ weekRange, rows }) => ({
+            weekRange,
+            rows: rows.map(row => {
+                const record = {};
+                table.header.slice(1).forEach((column, index) => {
+                    record[column] = row[index + 1];
+                });
+                return record;
+            })
+        })));
+    }
+
+    return { name: 'local', upsertSummaries, replaceRows };
+}
+
+module.exports = { createLocalExporter };
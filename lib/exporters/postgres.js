@@ -0,0 +1,90 @@
+const { Pool } = require('pg');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS analytics_summary (
+        week_range TEXT PRIMARY KEY,
+        metrics JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS analytics_report_rows (
+        report TEXT NOT NULL,
+        week_range TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data JSONB NOT NULL,
+        PRIMARY KEY (report, week_range, position)
+    );
+`;
+
+// Each run's metrics go in analytics_summary as one JSONB document per week
+// range. Table rows (the per-channel breakdown and so on) go in
+// analytics_report_rows as JSONB objects keyed by the table header.
+function createPostgresExporter({ connectionString }) {
+    if (!connectionString) {
+        throw new Error('The postgres exporter needs DATABASE_URL');
+    }
+
+    const pool = new Pool({ connectionString });
+    let schemaReady = null;
+
+    function ensureSchema() {
+        if (!schemaReady) {
+            schemaReady = pool.query(SCHEMA).catch(error => {
+                schemaReady = null;
+                throw error;
+            });
+        }
+        return schemaReady;
+    }
+
+    async function inTransaction(work) {
+        await ensureSchema();
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await work(client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async function upsertSummaries(entries) {
+        await inTransaction(async client => {
+            for (const { weekRange, metrics } of entries) {
+                await client.query(`
+                    INSERT INTO analytics_summary (week_range, metrics, updated_at)
+                    VALUES ($1, $2, now())
+                    ON CONFLICT (week_range) DO UPDATE SET metrics = EXCLUDED.metrics, updated_at = now()
+                `, [weekRange, JSON.stringify(metrics)]);
+            }
+        });
+    }
+
+    async function replaceRows(table, entries) {
+        await inTransaction(async client => {
+            for (const { weekRange, rows } of entries) {
+                await client.query('DELETE FROM analytics_report_rows WHERE report = $1 AND week_range = $2', [table.name, weekRange]);
+
+                for (const [position, row] of rows.entries()) {
+                    const data = {};
+                    table.header.forEach((column, index) => {
+                        data[column] = row[index];
+                    });
+                    await client.query(
+                        'INSERT INTO analytics_report_rows (report, week_range, position, data) VALUES ($1, $2, $3, $4)',
+                        [table.name, weekRange, position, JSON.stringify(data)]
+                    );
+                }
+            }
+        });
+    }
+
+    return { name: 'postgres', upsertSummaries, replaceRows };
+}
+
+module.exports = { createPostgresExporter };
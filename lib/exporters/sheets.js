@@ -0,0 +1,137 @@
+const { google } = require('googleapis');
+const metricRegistry = require('../metrics');
+
+// `client` replaces the Google Sheets API client, e.g. with the in-memory
+// fake from mock/sheets.js; without one the exporter needs credentials.
+function createSheetsExporter({ spreadsheetId, credentials, client = null, summarySheet = 'Sheet1' }) {
+    if (!spreadsheetId || (!credentials && !client)) {
+        throw new Error('The sheets exporter needs SHEET_ID and GOOGLE_CREDENTIALS');
+    }
+
+    const sheets = client || google.sheets({
+        version: 'v4',
+        auth: new google.auth.GoogleAuth({
+            credentials,
+            scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        })
+    });
+
+    // Looks a tab up by title, creating it when asked to, and returns its
+    // numeric sheetId (which is only 0 for the first tab of a new spreadsheet).
+    async function getTabId(title, create = false) {
+        const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
+        const tab = spreadsheet.data.sheets.find(sheet => sheet.properties.title === title);
+        if (tab) return tab.properties.sheetId;
+
+        if (!create) {
+            throw new Error(`Spreadsheet has no tab named ${title}`);
+        }
+
+        const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{ addSheet: { properties: { title } } }]
+            }
+        });
+        return response.data.replies[0].addSheet.properties.sheetId;
+    }
+
+    // Rewrites the rows of week ranges already on the summary tab in place and
+    // inserts the rest under the header, newest first, in one insert.
+    async function upsertSummaries(entries) {
+        console.log('Updating Google Sheet', entries.map(entry => entry.weekRange));
+        const lastColumn = metricRegistry.lastSheetColumn();
+
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${summarySheet}!A:${lastColumn}`,
+        });
+
+        const rows = response.data.values || [];
+        const updates = [];
+        const inserts = [];
+
+        entries.forEach(({ weekRange, metrics }) => {
+            const newRow = metricRegistry.buildSheetRow(weekRange, metrics);
+            const existingRowIndex = rows.findIndex(row => row[0] === weekRange);
+
+            if (existingRowIndex !== -1) {
+                updates.push({
+                    range: `${summarySheet}!A${existingRowIndex + 1}:${lastColumn}${existingRowIndex + 1}`,
+                    values: [newRow]
+                });
+            } else {
+                inserts.unshift(newRow);
+            }
+        });
+
+        if (updates.length) {
+            // Update existing rows
+            await sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: { valueInputOption: 'RAW', data: updates }
+            });
+        }
+
+        if (inserts.length) {
+            // Insert new rows from position 2 (after header)
+            await sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: [
+                        {
+                            insertDimension: {
+                                range: {
+                                    sheetId: await getTabId(summarySheet),
+                                    dimension: 'ROWS',
+                                    startIndex: 1,  // After header
+                                    endIndex: 1 + inserts.length
+                                }
+                            }
+                        }
+                    ]
+                }
+            });
+
+            // Update the newly inserted rows with values
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${summarySheet}!A2:${lastColumn}${1 + inserts.length}`,
+                valueInputOption: 'RAW',
+                resource: { values: inserts }
+            });
+        }
+    }
+
+    // Replaces the table's rows for each week range on its own tab. The newest
+    // week goes straight under the header, as it does on the summary tab.
+    async function replaceRows(table, entries) {
+        await getTabId(table.title, true);
+
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${table.title}!A:ZZ`,
+        });
+
+        const weekRanges = new Set(entries.map(entry => entry.weekRange));
+        const existingRows = (response.data.values || []).slice(1)
+            .filter(row => !weekRanges.has(row[0]));
+        const newRows = entries.slice().reverse().flatMap(entry => entry.rows);
+
+        await sheets.spreadsheets.values.clear({
+            spreadsheetId,
+            range: `${table.title}!A:ZZ`,
+        });
+
+        await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${table.title}!A1`,
+            valueInputOption: 'RAW',
+            resource: { values: [table.header, ...newRows, ...existingRows] }
+        });
+    }
+
+    return { name: 'sheets', upsertSummaries, replaceRows };
+}
+
+module.exports = { createSheetsExporter };
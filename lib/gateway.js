@@ -0,0 +1,239 @@
+const WebSocket = require('ws');
+const discord = require('./discord');
+
+const GATEWAY_VERSION = 10;
+
+const INTENTS = {
+    GUILDS: 1 << 0,
+    GUILD_MEMBERS: 1 << 1,
+    GUILD_MESSAGES: 1 << 9,
+    GUILD_MESSAGE_REACTIONS: 1 << 10,
+    MESSAGE_CONTENT: 1 << 15
+};
+
+// GUILD_MEMBERS and MESSAGE_CONTENT are privileged and have to be switched on
+// for the bot in the developer portal.
+const DEFAULT_INTENTS = Object.values(INTENTS).reduce((all, intent) => all | intent, 0);
+
+const OPCODES = {
+    DISPATCH: 0,
+    HEARTBEAT: 1,
+    IDENTIFY: 2,
+    RESUME: 6,
+    RECONNECT: 7,
+    INVALID_SESSION: 9,
+    HELLO: 10,
+    HEARTBEAT_ACK: 11
+};
+
+// Close codes after which reconnecting can't help: a bad token, bad or
+// disallowed intents, an unsupported API version.
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+
+// Closing with a code other than 1000 or 1001 keeps the session resumable.
+const RESUMABLE_CLOSE_CODE = 4000;
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+
+// A long-running Gateway connection. It identifies, keeps the heartbeat
+// going, and resumes after a dropped connection so no events are lost;
+// a connection that can't be resumed starts a new session. Every dispatch is
+// handed to onDispatch(type, data), and onSession(event, sessionId) hears
+// 'ready', 'resumed' and 'heartbeat' so the caller can track which spans of
+// time were covered. `url` skips asking Discord where the gateway is, which
+// is how it is pointed at a local mock.
+function createGatewayClient({ token, url = null, intents = DEFAULT_INTENTS, onDispatch, onSession = () => {} }) {
+    let socket = null;
+    let heartbeatTimer = null;
+    let reconnectTimer = null;
+    let awaitingAck = false;
+    let stopped = true;
+    let reconnectAttempts = 0;
+    let sequence = null;
+    let sessionId = null;
+    let resumeUrl = null;
+
+    const status = {
+        state: 'stopped',
+        sessionId: null,
+        connectedAt: null,
+        lastEventAt: null,
+        lastHeartbeatAckAt: null,
+        error: null
+    };
+
+    function send(op, d) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ op, d }));
+        }
+    }
+
+    function heartbeat() {
+        // No acknowledgement since the last beat means the connection is dead
+        // even if the socket hasn't noticed yet.
+        if (awaitingAck) {
+            console.log('Gateway heartbeat not acknowledged, reconnecting');
+            socket.close(RESUMABLE_CLOSE_CODE);
+            return;
+        }
+        awaitingAck = true;
+        send(OPCODES.HEARTBEAT, sequence);
+    }
+
+    function startHeartbeat(interval) {
+        clearInterval(heartbeatTimer);
+        awaitingAck = false;
+        heartbeatTimer = setTimeout(() => {
+            heartbeat();
+            heartbeatTimer = setInterval(heartbeat, interval);
+        }, interval * Math.random());
+    }
+
+    function stopHeartbeat() {
+        clearTimeout(heartbeatTimer);
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    function identify() {
+        send(OPCODES.IDENTIFY, {
+            token,
+            intents,
+            properties: { os: process.platform, browser: 'discord-analytics', device: 'discord-analytics' }
+        });
+    }
+
+    function handleDispatch(type, data) {
+        status.lastEventAt = Date.now();
+
+        if (type === 'READY') {
+            sessionId = data.session_id;
+            resumeUrl = data.resume_gateway_url || null;
+            reconnectAttempts = 0;
+            Object.assign(status, { state: 'connected', sessionId, connectedAt: Date.now(), error: null });
+            onSession('ready', sessionId);
+        } else if (type === 'RESUMED') {
+            reconnectAttempts = 0;
+            Object.assign(status, { state: 'connected', error: null });
+            onSession('resumed', sessionId);
+        }
+
+        try {
+            onDispatch(type, data);
+        } catch (error) {
+            console.log(`Error handling gateway event ${type}:`, error.message);
+        }
+    }
+
+    function handlePayload({ op, d, s, t }) {
+        if (s !== null && s !== undefined) {
+            sequence = s;
+        }
+
+        switch (op) {
+            case OPCODES.HELLO:
+                startHeartbeat(d.heartbeat_interval);
+                if (sessionId) {
+                    send(OPCODES.RESUME, { token, session_id: sessionId, seq: sequence });
+                } else {
+                    identify();
+                }
+                break;
+            case OPCODES.HEARTBEAT:
+                send(OPCODES.HEARTBEAT, sequence);
+                break;
+            case OPCODES.HEARTBEAT_ACK:
+                awaitingAck = false;
+                status.lastHeartbeatAckAt = Date.now();
+                if (sessionId) onSession('heartbeat', sessionId);
+                break;
+            case OPCODES.RECONNECT:
+                socket.close(RESUMABLE_CLOSE_CODE);
+                break;
+            case OPCODES.INVALID_SESSION:
+                if (!d) {
+                    sessionId = null;
+                    sequence = null;
+                    resumeUrl = null;
+                }
+                socket.close(RESUMABLE_CLOSE_CODE);
+                break;
+            case OPCODES.DISPATCH:
+                handleDispatch(t, d);
+                break;
+        }
+    }
+
+    function scheduleReconnect() {
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts++);
+        status.state = 'reconnecting';
+        console.log(`Gateway disconnected, reconnecting in ${delay}ms`);
+        reconnectTimer = setTimeout(connect, delay);
+    }
+
+    function handleClose(code) {
+        stopHeartbeat();
+        socket = null;
+        if (stopped) return;
+
+        if (FATAL_CLOSE_CODES.includes(code)) {
+            Object.assign(status, { state: 'failed', error: `Gateway closed the connection with code ${code}` });
+            console.log(status.error);
+            return;
+        }
+        scheduleReconnect();
+    }
+
+    async function connect() {
+        reconnectTimer = null;
+        if (stopped) return;
+
+        status.state = 'connecting';
+        let base;
+        try {
+            base = (sessionId && resumeUrl) || url || await discord.getGatewayUrl();
+        } catch (error) {
+            status.error = error.message;
+            scheduleReconnect();
+            return;
+        }
+
+        const separator = base.includes('?') ? '&' : '?';
+        socket = new WebSocket(`${base}${separator}v=${GATEWAY_VERSION}&encoding=json`);
+        socket.on('message', raw => {
+            try {
+                handlePayload(JSON.parse(raw));
+            } catch (error) {
+                console.log('Unreadable gateway payload:', error.message);
+            }
+        });
+        socket.on('error', error => {
+            status.error = error.message;
+            console.log('Gateway connection error:', error.message);
+        });
+        socket.on('close', code => handleClose(code));
+    }
+
+    function start() {
+        if (!stopped) return;
+        stopped = false;
+        connect();
+    }
+
+    function stop() {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        stopHeartbeat();
+        if (socket) socket.close(1000);
+        status.state = 'stopped';
+    }
+
+    return { start, stop, status: () => ({ ...status }) };
+}
+
+module.exports = {
+    INTENTS,
+    DEFAULT_INTENTS,
+    createGatewayClient
+};
@@ -0,0 +1,80 @@
+const fetch = require('node-fetch');
+
+const GITHUB_API_BASE = 'https://api.github.com';
+
+class GithubRequestError extends Error {
+    constructor(message, { status = null, endpoint = null } = {}) {
+        super(message);
+        this.name = 'GithubRequestError';
+        this.status = status;
+        this.endpoint = endpoint;
+    }
+}
+
+// The number of the last page in a Link header, which with per_page=1 is the
+// total number of items.
+function lastPage(linkHeader) {
+    const match = (linkHeader || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+    return match ? Number(match[1]) : null;
+}
+
+// A small GitHub REST client. `baseUrl` can point it at GitHub Enterprise or
+// a local stub; a token raises the rate limit from 60 to 5,000 requests an
+// hour.
+function createGithubClient({ baseUrl = GITHUB_API_BASE, token = null } = {}) {
+    const headers = {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'discord-analytics-bot',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    };
+
+    // Resolves to null for a repository that is gone (404) or empty (409).
+    async function request(endpoint) {
+        const response = await fetch(`${baseUrl}${endpoint}`, { headers });
+
+        if (response.status === 404 || response.status === 409 || response.status === 204) {
+            return { data: null, headers: response.headers };
+        }
+        if (!response.ok) {
+            const rateLimited = response.headers.get('x-ratelimit-remaining') === '0';
+            throw new GithubRequestError(
+                `GitHub API Error: ${response.status} ${rateLimited ? 'rate limit exceeded' : response.statusText}`,
+                { status: response.status, endpoint }
+            );
+        }
+
+        return { data: await response.json(), headers: response.headers };
+    }
+
+    async function countContributors(owner, name) {
+        const { data, headers: responseHeaders } = await request(`/repos/${owner}/${name}/contributors?per_page=1&anon=true`);
+        if (!data) return 0;
+        return lastPage(responseHeaders.get('link')) || data.length;
+    }
+
+    // Stars, forks, primary language, the date of the last commit on the
+    // default branch and the number of contributors, or null if the
+    // repository no longer exists.
+    async function getRepoStats(owner, name) {
+        const { data: repo } = await request(`/repos/${owner}/${name}`);
+        if (!repo) return null;
+
+        const { data: commits } = await request(`/repos/${owner}/${name}/commits?per_page=1`);
+
+        return {
+            stars: repo.stargazers_count,
+            forks: repo.forks_count,
+            language: repo.language,
+            lastCommitAt: commits && commits.length ? commits[0].commit.committer.date : repo.pushed_at,
+            contributors: await countContributors(owner, name)
+        };
+    }
+
+    return { getRepoStats };
+}
+
+module.exports = {
+    GITHUB_API_BASE,
+    GithubRequestError,
+    createGithubClient
+};
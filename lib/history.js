@@ -0,0 +1,112 @@
+const store = require('./store');
+const metricRegistry = require('./metrics');
+
+// Past results as the dashboard reads them: every charted metric for each
+// stored period, with the change from the period before. A change is only
+// given when the earlier period ends right where this one starts, so a gap in
+// the history never shows up as one week's jump.
+const ENGAGEMENT_SERIES = [
+    ['newActiveUsers', 'New Active Users'],
+    ['returningActiveUsers', 'Returning Active Users'],
+    ['dau', 'DAU'],
+    ['wau', 'WAU'],
+    ['mau', 'MAU'],
+    ['dauOverMau', 'DAU/MAU']
+];
+
+// The summary sheet's columns followed by the engagement figures.
+function getSeries() {
+    return [
+        ...metricRegistry.getSheetColumns().map(metric => ({
+            key: metric.name,
+            label: metric.label,
+            value: metrics => metrics[metric.name]
+        })),
+        ...ENGAGEMENT_SERIES.map(([field, label]) => ({
+            key: `engagement.${field}`,
+            label,
+            value: metrics => (metrics.engagement ? metrics.engagement[field] : undefined)
+        }))
+    ];
+}
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function delta(current, previous) {
+    if (typeof current !== 'number' || typeof previous !== 'number') return null;
+    return {
+        change: round(current - previous, 3),
+        percent: previous ? round((current - previous) / Math.abs(previous) * 100, 1) : null
+    };
+}
+
+function buildPeriods(results, series) {
+    const periods = results.map(result => {
+        const values = {};
+        series.forEach(entry => {
+            const value = entry.value(result.metrics);
+            values[entry.key] = value === undefined ? null : value;
+        });
+
+        return {
+            weekRange: result.weekRange,
+            granularity: result.granularity,
+            startDate: new Date(result.startAt).toISOString(),
+            endDate: new Date(result.endAt).toISOString(),
+            updatedAt: new Date(result.updatedAt).toISOString(),
+            values
+        };
+    });
+
+    periods.forEach((period, index) => {
+        const contiguous = index > 0 && results[index - 1].endAt + 1 === results[index].startAt;
+        period.deltas = {};
+        series.forEach(entry => {
+            period.deltas[entry.key] = contiguous ? delta(period.values[entry.key], periods[index - 1].values[entry.key]) : null;
+        });
+    });
+
+    return periods;
+}
+
+// The last `limit` periods of one granularity (all of them by default),
+// oldest first.
+function getHistory(guildId, { granularity = 'week', limit = null } = {}) {
+    const series = getSeries();
+    const periods = buildPeriods(store.getResults(guildId, { granularity }), series);
+
+    return {
+        series: series.map(({ key, label }) => ({ key, label })),
+        periods: limit ? periods.slice(-limit) : periods
+    };
+}
+
+// One stored period in full: its values and changes, the per-channel
+// breakdown and the projects showcased. Without a week range, the latest
+// period of the granularity. Null when nothing is stored.
+function getPeriod(guildId, weekRange = null, { granularity = 'week' } = {}) {
+    const stored = weekRange
+        ? store.getResults(guildId).find(result => result.weekRange === weekRange)
+        : store.getResults(guildId, { granularity }).pop();
+    if (!stored) return null;
+
+    const { periods } = getHistory(guildId, { granularity: stored.granularity });
+    const period = periods.find(entry => entry.weekRange === stored.weekRange) ||
+        buildPeriods([stored], getSeries())[0];
+
+    return {
+        ...period,
+        channels: store.getResultRows(guildId, 'channels', stored.weekRange),
+        projects: store.getResultRows(guildId, 'projects', stored.weekRange)
+    };
+}
+
+module.exports = {
+    ENGAGEMENT_SERIES,
+    getSeries,
+    getHistory,
+    getPeriod
+};
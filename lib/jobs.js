@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+const PHASES = ['members', 'auditLogs', 'messages', 'reactions', 'links', 'export'];
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map();
+
+function createJob(params, metricNames = []) {
+    const progress = {};
+    metricNames.forEach(name => {
+        progress[name] = { status: 'pending', completed: 0, total: null };
+    });
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        params,
+        phase: null,
+        progress,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        metrics: null,
+        incomplete: [],
+        error: null
+    };
+
+    jobs.set(job.id, job);
+    pruneFinishedJobs();
+    return job;
+}
+
+function startJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+}
+
+function setPhase(job, phase) {
+    if (!PHASES.includes(phase)) {
+        throw new Error(`Unknown job phase: ${phase}`);
+    }
+    job.phase = phase;
+}
+
+// Reporter handed to the metric functions so they can record how far through
+// their channel loops they are without knowing about jobs.
+function progressReporter(job, metric) {
+    const entry = job.progress[metric] || (job.progress[metric] = { status: 'pending', completed: 0, total: null });
+
+    return {
+        start(total = null) {
+            entry.status = 'running';
+            entry.total = total;
+            entry.completed = 0;
+        },
+        advance(count = 1) {
+            entry.completed += count;
+        },
+        done() {
+            entry.status = 'done';
+            if (entry.total !== null) entry.completed = entry.total;
+        },
+        fail() {
+            entry.status = 'failed';
+        }
+    };
+}
+
+// Wraps a metric promise so its progress entry is closed out either way.
+async function trackMetric(job, metric, run) {
+    const reporter = progressReporter(job, metric);
+    if (job.progress[metric].status === 'pending') reporter.start();
+
+    try {
+        const result = await run(reporter);
+        reporter.done();
+        return result;
+    } catch (error) {
+        reporter.fail();
+        throw error;
+    }
+}
+
+// Flags a metric whose value was computed from partial data.
+function markIncomplete(job, metric, reasons) {
+    job.incomplete.push({ metric, reasons });
+    if (job.progress[metric]) job.progress[metric].status = 'incomplete';
+}
+
+function completeJob(job, metrics) {
+    job.status = 'completed';
+    job.metrics = metrics;
+    job.finishedAt = new Date().toISOString();
+}
+
+function failJob(job, error) {
+    job.status = 'failed';
+    job.error = { message: error.message, phase: job.phase };
+    job.finishedAt = new Date().toISOString();
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function listJobs() {
+    return Array.from(jobs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function pruneFinishedJobs() {
+    const finished = Array.from(jobs.values())
+        .filter(job => job.finishedAt)
+        .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+
+    while (finished.length > MAX_FINISHED_JOBS) {
+        jobs.delete(finished.shift().id);
+    }
+}
+
+module.exports = {
+    PHASES,
+    createJob,
+    startJob,
+    setPhase,
+    progressReporter,
+    trackMetric,
+    markIncomplete,
+    completeJob,
+    failJob,
+    getJob,
+    listJobs
+};
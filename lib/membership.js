@@ -0,0 +1,225 @@
+const moment = require('moment-timezone');
+const discord = require('./discord');
+const store = require('./store');
+const { DEFAULT_TIMEZONE } = require('./dates');
+
+// The membership ledger: one record per join, leave, kick and ban, from which
+// every member count is derived so the numbers can't disagree with each other.
+//
+// Voluntary leaves never show up in the audit log, so joins and departures
+// come from diffing member snapshots: a member missing from the next snapshot
+// left at some point between the two, and one whose join date changed left
+// and came back. Those departures are placed in the middle of the window they
+// fall in. Kicks and bans come from the audit log with exact times, and a
+// snapshot departure is dropped when a more precise record of the same
+// departure falls inside its window. While the gateway listener runs, the
+// joins and removals it sees are recorded as they happen.
+const DEPARTURES = ['leave', 'kick', 'ban'];
+const SOURCE_PRECISION = { snapshot: 0, gateway: 1, audit: 2 };
+
+// The gateway reports every departure as a plain removal, kicks and bans
+// included, a moment after the audit log records them.
+const GATEWAY_LEAVE_WINDOW_MS = 60 * 1000;
+
+function joinEvent(guildId, userId, joinedAt, source) {
+    return { id: `join:${guildId}:${userId}:${joinedAt}`, guildId, userId, type: 'join', occurredAt: joinedAt, source };
+}
+
+function departureEvent(guildId, userId, windowStart, windowEnd) {
+    return {
+        id: `leave:${guildId}:${userId}:${windowEnd}`,
+        guildId,
+        userId,
+        type: 'leave',
+        occurredAt: Math.round((windowStart + windowEnd) / 2),
+        windowStart,
+        windowEnd,
+        source: 'snapshot'
+    };
+}
+
+// previous is the last stored snapshot ({ members, syncedAt }), or null the
+// first time the guild is synced.
+function recordSnapshot(guildId, previous, members, syncedAt) {
+    const events = [];
+    const current = new Map();
+
+    members.forEach(member => {
+        const joinedAt = member.joined_at ? Date.parse(member.joined_at) : null;
+        current.set(member.user.id, joinedAt);
+        if (joinedAt !== null) {
+            events.push(joinEvent(guildId, member.user.id, joinedAt, 'snapshot'));
+        }
+    });
+
+    if (previous) {
+        previous.members.forEach(member => {
+            const userId = member.user.id;
+            if (!current.has(userId)) {
+                events.push(departureEvent(guildId, userId, previous.syncedAt, syncedAt));
+                return;
+            }
+
+            const rejoinedAt = current.get(userId);
+            const joinedAt = member.joined_at ? Date.parse(member.joined_at) : null;
+            if (rejoinedAt !== null && joinedAt !== null && rejoinedAt !== joinedAt) {
+                events.push(departureEvent(guildId, userId, Math.max(previous.syncedAt, joinedAt), rejoinedAt));
+            }
+        });
+    }
+
+    store.saveMemberEvents(events);
+}
+
+function recordAuditEntries(guildId, entries, type) {
+    store.saveMemberEvents(entries.filter(entry => entry.target_id).map(entry => ({
+        id: `audit:${entry.id}`,
+        guildId,
+        userId: entry.target_id,
+        type,
+        occurredAt: discord.snowflakeToTimestamp(entry.id),
+        source: 'audit'
+    })));
+}
+
+function recordGatewayJoin(guildId, member, receivedAt) {
+    const joinedAt = member.joined_at ? Date.parse(member.joined_at) : receivedAt;
+    store.saveMemberEvents([joinEvent(guildId, member.user.id, joinedAt, 'gateway')]);
+}
+
+function recordGatewayLeave(guildId, userId, receivedAt) {
+    store.saveMemberEvents([{
+        id: `gateway-leave:${guildId}:${userId}:${receivedAt}`,
+        guildId,
+        userId,
+        type: 'leave',
+        occurredAt: receivedAt,
+        windowStart: receivedAt - GATEWAY_LEAVE_WINDOW_MS,
+        windowEnd: receivedAt + GATEWAY_LEAVE_WINDOW_MS,
+        source: 'gateway'
+    }]);
+}
+
+function isSuperseded(event, departures) {
+    if (event.windowStart === null) return false;
+
+    return departures.some(other => (
+        other.userId === event.userId &&
+        SOURCE_PRECISION[other.source] > SOURCE_PRECISION[event.source] &&
+        other.occurredAt >= event.windowStart &&
+        other.occurredAt <= event.windowEnd
+    ));
+}
+
+// Ledger events from `since` onwards, with duplicate departures removed.
+function getLedger(guildId, since) {
+    const events = store.getMemberEvents(guildId, since);
+    const earliestWindow = events.reduce((earliest, event) => (
+        event.windowStart !== null ? Math.min(earliest, event.windowStart) : earliest
+    ), since.valueOf());
+
+    const candidates = earliestWindow < since.valueOf() ? store.getMemberEvents(guildId, earliestWindow) : events;
+    const departures = candidates.filter(event => DEPARTURES.includes(event.type));
+
+    return events.filter(event => !DEPARTURES.includes(event.type) || !isSuperseded(event, departures));
+}
+
+// When each member joined, for joins within the range. Someone who joined
+// more than once counts from their first join.
+function getJoins(guildId, startDate, endDate) {
+    const joins = new Map();
+
+    getLedger(guildId, startDate).forEach(event => {
+        if (event.type === 'join' && event.occurredAt <= endDate.valueOf() && !joins.has(event.userId)) {
+            joins.set(event.userId, event.occurredAt);
+        }
+    });
+
+    return joins;
+}
+
+function memberDelta(event) {
+    return event.type === 'join' ? 1 : -1;
+}
+
+function tally(events) {
+    const count = type => events.filter(event => event.type === type).length;
+    const grossJoins = count('join');
+    const voluntaryLeaves = count('leave');
+    const kicks = count('kick');
+    const bans = count('ban');
+    const grossLeaves = voluntaryLeaves + kicks + bans;
+
+    return { grossJoins, grossLeaves, voluntaryLeaves, kicks, bans, netGrowth: grossJoins - grossLeaves };
+}
+
+// Member counts are rebuilt from the latest snapshot, the one count known to
+// be exact: walking back through the ledger for earlier times and forward for
+// anything recorded since.
+function createCounter(guildId, startDate) {
+    const state = store.getSyncState(`${guildId}:members`);
+    if (!state) {
+        throw new Error(`No member snapshot has been taken for guild ${guildId}`);
+    }
+
+    const anchorCount = store.getMembers(guildId).length;
+    const anchorAt = state.syncedAt;
+    const events = getLedger(guildId, Math.min(startDate.valueOf(), anchorAt));
+
+    function countAt(time) {
+        return events.reduce((count, event) => {
+            if (event.occurredAt > time && event.occurredAt <= anchorAt) return count - memberDelta(event);
+            if (event.occurredAt <= time && event.occurredAt > anchorAt) return count + memberDelta(event);
+            return count;
+        }, anchorCount);
+    }
+
+    function between(start, end) {
+        return events.filter(event => event.occurredAt >= start.valueOf() && event.occurredAt <= end.valueOf());
+    }
+
+    return { countAt, between };
+}
+
+function summarizeMembership(guildId, startDate, endDate) {
+    const { countAt, between } = createCounter(guildId, startDate);
+
+    return {
+        startCount: countAt(startDate.valueOf() - 1),
+        endCount: countAt(endDate.valueOf()),
+        ...tally(between(startDate, endDate))
+    };
+}
+
+// One row per day in the guild's timezone: members at the end of the day and
+// the joins and departures during it.
+function memberTimeSeries(guildId, startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+    const { countAt, between } = createCounter(guildId, startDate);
+    const days = [];
+    const day = moment.tz(startDate, timezone).startOf('day');
+
+    while (day.isSameOrBefore(endDate)) {
+        const dayStart = moment.max(day.clone(), moment(startDate));
+        const dayEnd = moment.min(day.clone().endOf('day'), moment(endDate));
+
+        days.push({
+            date: day.format('YYYY-MM-DD'),
+            members: countAt(dayEnd.valueOf()),
+            ...tally(between(dayStart, dayEnd))
+        });
+        day.add(1, 'day');
+    }
+
+    return days;
+}
+
+module.exports = {
+    recordSnapshot,
+    recordAuditEntries,
+    recordGatewayJoin,
+    recordGatewayLeave,
+    getLedger,
+    getJoins,
+    summarizeMembership,
+    memberTimeSeries
+};
@@ -0,0 +1,363 @@
+const moment = require('moment-timezone');
+const discord = require('./discord');
+const membership = require('./membership');
+const engagement = require('./engagement');
+const contributors = require('./contributors');
+const content = require('./content');
+const moderation = require('./moderation');
+const projects = require('./projects');
+const repos = require('./repos');
+const { PHASES } = require('./jobs');
+
+const { AUDIT_LOG_ACTIONS } = discord;
+
+const SOURCES = ['members', 'auditLogs', 'messages'];
+
+// Member counts for the period, all from the membership ledger.
+async function getMembership(crawl) {
+    await crawl.membershipLedger();
+    return membership.summarizeMembership(crawl.guildId, crawl.startDate, crawl.endDate);
+}
+
+async function getReactions(crawl) {
+    // With the gateway listener running for the whole period, count the
+    // reactions added during it (less those taken back) rather than the
+    // totals left on the period's messages.
+    const log = await crawl.eventLog();
+    if (log.covered) {
+        return log.reactionsAdded.length - log.reactionsRemoved.length;
+    }
+
+    const messages = await crawl.messages();
+    let totalReactions = 0;
+
+    messages.forEach(msg => {
+        if (msg.reactions && !msg.deleted) {
+            totalReactions += msg.reactions.reduce((sum, reaction) => sum + reaction.count, 0);
+        }
+    });
+
+    return totalReactions;
+}
+
+async function getMessagesPosted(crawl) {
+    const { startDate, endDate } = crawl;
+
+    // The gateway listener saw every message as it was posted, including
+    // the ones deleted since.
+    const log = await crawl.eventLog();
+    if (log.covered) {
+        return log.messagesCreated.length;
+    }
+
+    const deletedMessages = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MESSAGE_DELETE);
+    const deletedInPeriod = deletedMessages.filter(entry => {
+        const deleteDate = moment(discord.snowflakeToTimestamp(entry.id));
+        return deleteDate.isSameOrAfter(startDate) && deleteDate.isSameOrBefore(endDate);
+    });
+
+    const messages = await crawl.messages();
+    const validMessages = messages.filter(msg => !msg.deleted);
+
+    return validMessages.length + deletedInPeriod.length;
+}
+
+async function getActiveUsers(crawl) {
+    const { startDate, endDate } = crawl;
+    const activeUsers = new Set();
+
+    const memberUpdates = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MEMBER_UPDATE);
+    memberUpdates.forEach(entry => {
+        if (entry.target_id) {
+            const updateDate = moment(discord.snowflakeToTimestamp(entry.id));
+            if (updateDate.isSameOrAfter(startDate) && updateDate.isSameOrBefore(endDate)) {
+                activeUsers.add(entry.target_id);
+            }
+        }
+    });
+
+    const messages = await crawl.messages();
+    messages.forEach(msg => {
+        if (!msg.deleted && msg.author) {
+            activeUsers.add(msg.author.id);
+        }
+    });
+
+    return activeUsers.size;
+}
+
+function summarizeMessages(messages) {
+    const valid = messages.filter(msg => !msg.deleted);
+    const authors = new Set(valid.filter(msg => msg.author).map(msg => msg.author.id));
+
+    return {
+        messages: valid.length,
+        reactions: valid.reduce((sum, msg) => (
+            sum + (msg.reactions || []).reduce((total, reaction) => total + reaction.count, 0)
+        ), 0),
+        activeUsers: authors.size
+    };
+}
+
+// One row per channel, followed by a row for each of its threads that saw
+// activity or was created in the period.
+async function getChannelBreakdown(crawl) {
+    const { startDate, endDate } = crawl;
+    const channels = await crawl.channels();
+    const breakdown = [];
+
+    for (const channel of channels) {
+        const messages = await crawl.channelMessages(channel.id);
+        const threads = await crawl.threads(channel.id);
+        const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+
+        const createdInPeriod = threads.filter(thread => {
+            const createdAt = discord.threadCreatedAt(thread);
+            return createdAt.isSameOrAfter(startDate) && createdAt.isSameOrBefore(endDate);
+        });
+
+        breakdown.push({
+            channelId: channel.id,
+            channelName: channel.name || channel.id,
+            threadId: null,
+            threadName: null,
+            ...summarizeMessages(messages),
+            threadsCreated: createdInPeriod.length
+        });
+
+        const activeThreadIds = new Set(messages.filter(msg => msg.threadId).map(msg => msg.threadId));
+        createdInPeriod.forEach(thread => activeThreadIds.add(thread.id));
+
+        activeThreadIds.forEach(threadId => {
+            const thread = threadsById.get(threadId);
+            breakdown.push({
+                channelId: channel.id,
+                channelName: channel.name || channel.id,
+                threadId,
+                threadName: thread && thread.name ? thread.name : threadId,
+                ...summarizeMessages(messages.filter(msg => msg.threadId === threadId)),
+                threadsCreated: createdInPeriod.includes(thread) ? 1 : 0
+            });
+        });
+    }
+
+    return breakdown;
+}
+
+// The metric registry. Each entry names a metric, the crawl data it is built
+// from, how to compute it and, if it belongs on the summary sheet, which
+// column it fills (column A is always the week range). The pipeline runs the
+// metrics in registration order, so a metric may read the results of any
+// registered before it.
+const registry = [];
+
+function registerMetric(definition) {
+    const { name, source, compute, column = null, label = name, format = value => value, phase = source } = definition;
+
+    if (!name || typeof compute !== 'function') {
+        throw new Error('A metric needs a name and a compute function');
+    }
+    if (!SOURCES.includes(source)) {
+        throw new Error(`Metric ${name} has unknown source: ${source}`);
+    }
+    if (!PHASES.includes(phase) || phase === 'export') {
+        throw new Error(`Metric ${name} has unknown phase: ${phase}`);
+    }
+    if (registry.some(metric => metric.name === name)) {
+        throw new Error(`Metric ${name} is already registered`);
+    }
+    if (column && (column === 'A' || registry.some(metric => metric.column === column))) {
+        throw new Error(`Sheet column ${column} is already taken`);
+    }
+
+    registry.push({ name, source, phase, compute, column, label, format });
+}
+
+function getMetrics() {
+    return registry.slice();
+}
+
+// Metrics that have a summary sheet column, left to right.
+function getSheetColumns() {
+    return registry
+        .filter(metric => metric.column)
+        .sort((a, b) => columnIndex(a.column) - columnIndex(b.column));
+}
+
+function columnIndex(column) {
+    return column.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+function sheetWidth() {
+    return columnIndex(lastSheetColumn()) + 1;
+}
+
+// Lays out a summary sheet row: the week range in A, each metric in its column.
+function buildSheetRow(weekRange, metrics) {
+    const columns = getSheetColumns();
+    const row = new Array(sheetWidth()).fill('');
+
+    row[0] = weekRange;
+    columns.forEach(metric => {
+        row[columnIndex(metric.column)] = metric.format(metrics[metric.name]);
+    });
+
+    return row;
+}
+
+function summaryHeader() {
+    const header = new Array(sheetWidth()).fill('');
+
+    header[0] = 'Week Range';
+    getSheetColumns().forEach(metric => {
+        header[columnIndex(metric.column)] = metric.label;
+    });
+
+    return header;
+}
+
+function lastSheetColumn() {
+    const columns = getSheetColumns();
+    return columns.length ? columns[columns.length - 1].column : 'A';
+}
+
+registerMetric({
+    name: 'membership',
+    source: 'members',
+    compute: crawl => getMembership(crawl)
+});
+
+registerMetric({
+    name: 'totalMembers',
+    source: 'members',
+    label: 'Total Members',
+    column: 'B',
+    compute: (crawl, { results }) => results.membership.endCount
+});
+
+registerMetric({
+    name: 'newMembers',
+    source: 'members',
+    label: 'New Members',
+    column: 'C',
+    compute: (crawl, { results }) => results.membership.netGrowth
+});
+
+// Gross joins and leaves moved from I and J to H and I when the Project
+// Links column was dropped. A summary tab or summary.csv written before then
+// keeps the old header and rows, so clear it and backfill to re-export.
+registerMetric({
+    name: 'memberJoins',
+    source: 'members',
+    label: 'Gross Joins',
+    column: 'H',
+    compute: (crawl, { results }) => results.membership.grossJoins
+});
+
+registerMetric({
+    name: 'memberLeaves',
+    source: 'members',
+    label: 'Gross Leaves',
+    column: 'I',
+    compute: (crawl, { results }) => results.membership.grossLeaves
+});
+
+// Stored and exported with the moderators hidden unless
+// MODERATION_EXPORT_MODERATORS says otherwise; the exports have no notion of
+// who is reading them.
+registerMetric({
+    name: 'moderation',
+    source: 'auditLogs',
+    compute: async crawl => {
+        const report = await moderation.getModeration(crawl);
+        return moderation.EXPORT_MODERATORS ? report : moderation.hideModerators(report);
+    }
+});
+
+registerMetric({
+    name: 'activeUsers',
+    source: 'messages',
+    label: 'Active Users',
+    column: 'D',
+    compute: crawl => getActiveUsers(crawl)
+});
+
+registerMetric({
+    name: 'messagesPosted',
+    source: 'messages',
+    label: 'Messages Posted',
+    column: 'E',
+    compute: crawl => getMessagesPosted(crawl)
+});
+
+registerMetric({
+    name: 'channelBreakdown',
+    source: 'messages',
+    compute: crawl => getChannelBreakdown(crawl)
+});
+
+registerMetric({
+    name: 'engagement',
+    source: 'messages',
+    compute: crawl => engagement.getEngagement(crawl)
+});
+
+registerMetric({
+    name: 'cohortRetention',
+    source: 'messages',
+    compute: crawl => engagement.getPeriodRetention(crawl)
+});
+
+registerMetric({
+    name: 'topContributors',
+    source: 'messages',
+    compute: crawl => contributors.getLeaderboard(crawl)
+});
+
+registerMetric({
+    name: 'content',
+    source: 'messages',
+    compute: (crawl, { productKeywords }) => content.getContent(crawl, { keywords: productKeywords || [] })
+});
+
+registerMetric({
+    name: 'reactions',
+    source: 'messages',
+    phase: 'reactions',
+    label: 'Reactions',
+    column: 'F',
+    compute: crawl => getReactions(crawl)
+});
+
+registerMetric({
+    name: 'projects',
+    source: 'messages',
+    phase: 'links',
+    compute: (crawl, context) => projects.getProjects(crawl, context)
+});
+
+registerMetric({
+    name: 'repoStats',
+    source: 'messages',
+    phase: 'links',
+    compute: (crawl, { results, github }) => (github ? repos.enrichProjects(crawl.guildId, results.projects, github) : {})
+});
+
+registerMetric({
+    name: 'projectsShowcased',
+    source: 'messages',
+    phase: 'links',
+    label: 'Projects Showcased',
+    column: 'G',
+    compute: (crawl, { results }) => results.projects.length
+});
+
+module.exports = {
+    SOURCES,
+    registerMetric,
+    getMetrics,
+    getSheetColumns,
+    buildSheetRow,
+    summaryHeader,
+    lastSheetColumn
+};
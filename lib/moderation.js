@@ -0,0 +1,154 @@
+const discord = require('./discord');
+
+const { AUDIT_LOG_ACTIONS } = discord;
+
+// Moderation actions from the audit log: messages deleted by someone other
+// than their author, kicks, bans, timeouts and role changes. Each is credited
+// to the moderator (or bot) who took it and to the member it was taken
+// against; deletions are also broken down by channel.
+//
+// Who moderates is sensitive, so moderator IDs and names are only shown to
+// callers allowed to see them. Everyone else sees the same breakdown with
+// each moderator replaced by a numbered placeholder, and so do the exports
+// unless MODERATION_EXPORT_MODERATORS is set.
+const MODERATION_TOP = Number(process.env.MODERATION_TOP) || 10;
+const EXPORT_MODERATORS = process.env.MODERATION_EXPORT_MODERATORS === 'true';
+
+const ACTIONS = ['deletions', 'kicks', 'bans', 'timeouts', 'roleChanges'];
+
+const MODERATION_HEADER = [
+    'Section', 'Rank', 'ID', 'Name', 'Deletions', 'Kicks', 'Bans', 'Timeouts', 'Role Changes', 'Total'
+];
+
+function emptyCounts() {
+    return { deletions: 0, kicks: 0, bans: 0, timeouts: 0, roleChanges: 0, total: 0 };
+}
+
+function displayName(user) {
+    return user.global_name || user.username || user.id;
+}
+
+// A member update only counts when it put the member in timeout; lifting one
+// early shows up as the same change with no end date.
+function isTimeout(entry) {
+    return (entry.changes || []).some(change => change.key === 'communication_disabled_until' && change.new_value);
+}
+
+function ranked(entries, limit) {
+    return entries
+        .sort((a, b) => b.total - a.total || ACTIONS.reduce((order, action) => order || b[action] - a[action], 0))
+        .slice(0, limit || undefined)
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+async function getModeration(crawl, { limit = MODERATION_TOP } = {}) {
+    const { startDate, endDate } = crawl;
+    const inPeriod = entry => {
+        const createdAt = discord.snowflakeToTimestamp(entry.id);
+        return createdAt >= startDate.valueOf() && createdAt <= endDate.valueOf();
+    };
+
+    const deletes = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MESSAGE_DELETE);
+    const kicks = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MEMBER_KICK);
+    const bans = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MEMBER_BAN_ADD);
+    const memberUpdates = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MEMBER_UPDATE);
+    const roleUpdates = await crawl.auditLogs(AUDIT_LOG_ACTIONS.MEMBER_ROLE_UPDATE);
+
+    const members = await crawl.members();
+    const usersById = new Map(members.map(member => [member.user.id, member.user]));
+    const channelsById = new Map((await crawl.channels()).map(channel => [channel.id, channel]));
+    const nameOf = id => (usersById.has(id) ? displayName(usersById.get(id)) : id);
+
+    const totals = emptyCounts();
+    const moderators = new Map();
+    const users = new Map();
+    const channels = new Map();
+
+    function tally(map, id, idKey, action, amount) {
+        if (!id) return;
+        if (!map.has(id)) map.set(id, { [idKey]: id, name: nameOf(id), ...emptyCounts() });
+        const entry = map.get(id);
+        entry[action] += amount;
+        entry.total += amount;
+    }
+
+    function record(entries, action, amountOf = () => 1) {
+        entries.filter(inPeriod).forEach(entry => {
+            const amount = amountOf(entry);
+            totals[action] += amount;
+            totals.total += amount;
+            tally(moderators, entry.user_id, 'moderatorId', action, amount);
+            tally(users, entry.target_id, 'userId', action, amount);
+        });
+    }
+
+    // One entry covers repeated deletions of the same author's messages in
+    // the same channel by the same moderator, with how many in options.count.
+    const deletedCount = entry => Number((entry.options || {}).count) || 1;
+
+    record(deletes, 'deletions', deletedCount);
+    record(kicks, 'kicks');
+    record(bans, 'bans');
+    record(memberUpdates.filter(isTimeout), 'timeouts');
+    record(roleUpdates, 'roleChanges');
+
+    deletes.filter(inPeriod).forEach(entry => {
+        const channelId = (entry.options || {}).channel_id;
+        if (!channelId) return;
+
+        if (!channels.has(channelId)) {
+            const channel = channelsById.get(channelId);
+            channels.set(channelId, { channelId, channelName: channel && channel.name ? channel.name : channelId, deletions: 0 });
+        }
+        channels.get(channelId).deletions += deletedCount(entry);
+    });
+
+    return {
+        totals,
+        moderators: ranked(Array.from(moderators.values())),
+        channels: Array.from(channels.values()).sort((a, b) => b.deletions - a.deletions),
+        users: ranked(Array.from(users.values()), limit),
+        moderatorsHidden: false
+    };
+}
+
+// The report with every moderator replaced by "Moderator <rank>".
+function hideModerators(report) {
+    if (report.moderatorsHidden) return report;
+
+    return {
+        ...report,
+        moderators: report.moderators.map(entry => ({
+            ...entry,
+            moderatorId: null,
+            name: `Moderator ${entry.rank}`
+        })),
+        moderatorsHidden: true
+    };
+}
+
+function countColumns(entry) {
+    return [entry.deletions, entry.kicks, entry.bans, entry.timeouts, entry.roleChanges, entry.total];
+}
+
+// One table for the whole report: the totals, then each moderator, each
+// channel with deletions and the members acted on most.
+function moderationRows(report) {
+    return [
+        ['totals', '', '', '', ...countColumns(report.totals)],
+        ...report.moderators.map(entry => ['moderator', entry.rank, entry.moderatorId || '', entry.name, ...countColumns(entry)]),
+        ...report.channels.map((entry, index) => [
+            'channel', index + 1, entry.channelId, entry.channelName, entry.deletions, '', '', '', '', entry.deletions
+        ]),
+        ...report.users.map(entry => ['user', entry.rank, entry.userId, entry.name, ...countColumns(entry)])
+    ];
+}
+
+module.exports = {
+    MODERATION_TOP,
+    EXPORT_MODERATORS,
+    MODERATION_HEADER,
+    getModeration,
+    hideModerators,
+    moderationRows
+};
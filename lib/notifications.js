@@ -0,0 +1,231 @@
+const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+const discord = require('./discord');
+const history = require('./history');
+
+// What gets sent after a run: a summary of the period with the change from
+// the period before for every charted metric, anomalies measured against a
+// rolling baseline, and an alert when a run fails. Each guild can send to a
+// Discord channel through the bot, to a webhook and to email; whatever is
+// configured gets every message. Sending never fails a run, it only logs.
+//
+// An anomaly rule is "metric:drop:percent" or "metric:spike:percent": the
+// metric (as the dashboard keys it) is flagged when it falls or rises by at
+// least that percent against the average of the previous periods of the same
+// length. Rules are skipped until there are enough earlier periods to average
+// and when that average is zero.
+const DEFAULT_ANOMALY_RULES = 'activeUsers:drop:30,messagesPosted:drop:40,memberLeaves:spike:50,newMembers:drop:50';
+const ANOMALY_BASELINE_PERIODS = Number(process.env.ANOMALY_BASELINE_PERIODS) || 4;
+const ANOMALY_MIN_PERIODS = Number(process.env.ANOMALY_MIN_PERIODS) || 2;
+
+// Discord rejects longer messages.
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseAnomalyRules(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [metric, direction, threshold] = entry.split(':');
+        if (!metric || !['drop', 'spike'].includes(direction) || !(Number(threshold) > 0)) {
+            throw new Error(`Invalid ANOMALY_RULES entry "${entry}": expected metric:drop|spike:percent`);
+        }
+        return { metric, direction, threshold: Number(threshold) };
+    });
+}
+
+const ANOMALY_RULES = parseAnomalyRules(process.env.ANOMALY_RULES || DEFAULT_ANOMALY_RULES);
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// The rules the period breaks, given the periods before it (oldest first).
+function detectAnomalies(period, previous, series, {
+    rules = ANOMALY_RULES,
+    baselinePeriods = ANOMALY_BASELINE_PERIODS,
+    minPeriods = ANOMALY_MIN_PERIODS
+} = {}) {
+    const labels = new Map(series.map(entry => [entry.key, entry.label]));
+
+    return rules.map(rule => {
+        const value = period.values[rule.metric];
+        const baselineValues = previous.slice(-baselinePeriods)
+            .map(earlier => earlier.values[rule.metric])
+            .filter(earlier => typeof earlier === 'number');
+        if (typeof value !== 'number' || baselineValues.length < minPeriods) return null;
+
+        const baseline = average(baselineValues);
+        if (!baseline) return null;
+
+        const percent = Math.round((value - baseline) / Math.abs(baseline) * 1000) / 10;
+        const broken = rule.direction === 'drop' ? percent <= -rule.threshold : percent >= rule.threshold;
+        if (!broken) return null;
+
+        return {
+            metric: rule.metric,
+            label: labels.get(rule.metric) || rule.metric,
+            direction: rule.direction,
+            threshold: rule.threshold,
+            value,
+            baseline: Math.round(baseline * 100) / 100,
+            baselinePeriods: baselineValues.length,
+            percent
+        };
+    }).filter(Boolean);
+}
+
+// The stored period as a summary: every metric with its change and the
+// anomalies it shows. Null if the period isn't stored.
+function buildSummary(guild, weekRange, { granularity = 'week', ...options } = {}) {
+    const { series, periods } = history.getHistory(guild.id, { granularity });
+    const index = periods.findIndex(period => period.weekRange === weekRange);
+    if (index === -1) return null;
+
+    // A range that isn't a whole day, week or month is stored alongside every
+    // other length, so only the earlier periods exactly as long count.
+    const days = entry => Math.round((Date.parse(entry.endDate) - Date.parse(entry.startDate)) / DAY_MS);
+    const period = periods[index];
+    const previous = periods.slice(0, index).filter(earlier => granularity || days(earlier) === days(period));
+
+    return {
+        guildId: guild.id,
+        guildName: guild.name,
+        weekRange,
+        granularity,
+        metrics: series.map(({ key, label }) => ({
+            key,
+            label,
+            value: period.values[key],
+            change: period.deltas[key] ? period.deltas[key].change : null,
+            percent: period.deltas[key] ? period.deltas[key].percent : null
+        })),
+        anomalies: detectAnomalies(period, previous, series, options)
+    };
+}
+
+function signed(value) {
+    return value > 0 ? `+${value}` : String(value);
+}
+
+function formatSummary(summary) {
+    const lines = [`**${summary.guildName}: ${summary.weekRange}**`];
+
+    summary.metrics.filter(metric => metric.value !== null).forEach(metric => {
+        const change = metric.change === null
+            ? ''
+            : ` (${signed(metric.change)}${metric.percent === null ? '' : `, ${signed(metric.percent)}%`})`;
+        lines.push(`${metric.label}: ${metric.value}${change}`);
+    });
+
+    if (summary.anomalies.length) {
+        lines.push('', '**Anomalies**');
+        summary.anomalies.forEach(anomaly => {
+            lines.push(`${anomaly.label} ${anomaly.direction === 'drop' ? 'dropped' : 'rose'} ${Math.abs(anomaly.percent)}% ` +
+                `to ${anomaly.value} against an average of ${anomaly.baseline} over ${anomaly.baselinePeriods} periods`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+function formatFailure({ guildName, weekRanges, trigger, jobId, error }) {
+    return [
+        `**${guildName}: run failed**`,
+        `Periods: ${weekRanges.join(', ')}`,
+        `Trigger: ${trigger}`,
+        ...(jobId ? [`Job: ${jobId}`] : []),
+        `Error: ${error}`
+    ].join('\n');
+}
+
+// Sends to every target the guild has. `transport` defaults to an SMTP
+// transport for SMTP_URL and only matters when email is configured.
+function createNotifier({ discordChannelId = null, webhookUrl = null, emailTo = [], emailFrom = null, smtpUrl = null, transport = null }) {
+    if (emailTo.length && !transport && !smtpUrl) {
+        throw new Error('Email notifications need SMTP_URL');
+    }
+
+    const mailer = emailTo.length ? (transport || nodemailer.createTransport(smtpUrl)) : null;
+    const targets = [];
+
+    if (discordChannelId) {
+        targets.push({
+            name: 'discord',
+            send: ({ text }) => discord.createChannelMessage(discordChannelId, text.slice(0, DISCORD_MESSAGE_LIMIT))
+        });
+    }
+
+    // `content` is what Discord webhooks post and `text` what Slack's do;
+    // anything else can read the structured payload.
+    if (webhookUrl) {
+        targets.push({
+            name: 'webhook',
+            send: async ({ text, payload }) => {
+                const response = await fetch(webhookUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ content: text.slice(0, DISCORD_MESSAGE_LIMIT), text, ...payload })
+                });
+                if (!response.ok) {
+                    throw new Error(`Webhook responded ${response.status}`);
+                }
+            }
+        });
+    }
+
+    if (mailer) {
+        targets.push({
+            name: 'email',
+            send: ({ subject, text }) => mailer.sendMail({
+                from: emailFrom,
+                to: emailTo.join(', '),
+                subject,
+                text: text.replace(/\*\*/g, '')
+            })
+        });
+    }
+
+    async function send(message) {
+        for (const target of targets) {
+            try {
+                await target.send(message);
+            } catch (error) {
+                console.log(`Sending notification to ${target.name} failed`, { error: error.message });
+            }
+        }
+    }
+
+    function runSummary(summary) {
+        return send({
+            subject: `${summary.guildName} analytics: ${summary.weekRange}` +
+                (summary.anomalies.length ? ` (${summary.anomalies.length} anomalies)` : ''),
+            text: formatSummary(summary),
+            payload: { event: 'run.completed', summary }
+        });
+    }
+
+    function runFailure(failure) {
+        return send({
+            subject: `${failure.guildName} analytics run failed`,
+            text: formatFailure(failure),
+            payload: { event: 'run.failed', failure }
+        });
+    }
+
+    return {
+        enabled: targets.length > 0,
+        targets: targets.map(target => target.name),
+        runSummary,
+        runFailure
+    };
+}
+
+module.exports = {
+    ANOMALY_RULES,
+    parseAnomalyRules,
+    detectAnomalies,
+    buildSummary,
+    formatSummary,
+    formatFailure,
+    createNotifier
+};
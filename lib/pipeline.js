@@ -0,0 +1,49 @@
+const jobs = require('./jobs');
+const metricRegistry = require('./metrics');
+
+// Runs every registered metric against a crawl (or a slice of one), phase by
+// phase in registry order. The crawl underneath only fetches each kind of
+// data once, the first time a metric asks for it. `context` carries what the
+// metrics need beyond the crawl: the showcase channels, the product keywords
+// and the GitHub client.
+async function computeMetrics(job, crawl, context, trackMetrics = true) {
+    const results = {};
+    const metricContext = { ...context, results };
+
+    for (const phase of jobs.PHASES) {
+        const phaseMetrics = metricRegistry.getMetrics().filter(metric => metric.phase === phase);
+        if (!phaseMetrics.length) continue;
+
+        jobs.setPhase(job, phase);
+        for (const metric of phaseMetrics) {
+            const compute = () => metric.compute(crawl, metricContext);
+            results[metric.name] = trackMetrics
+                ? await jobs.trackMetric(job, metric.name, compute)
+                : await compute();
+        }
+    }
+
+    return results;
+}
+
+// Metrics built from a data source the crawl couldn't fully fetch.
+function flagIncompleteMetrics(job, crawl) {
+    const issues = crawl.issues();
+    if (!issues.length) return;
+
+    metricRegistry.getMetrics()
+        .filter(metric => issues.some(issue => issue.source === metric.source))
+        .forEach(metric => {
+            const reasons = issues
+                .filter(issue => issue.source === metric.source)
+                .map(issue => `channel ${issue.channelId}: ${issue.error}`);
+            jobs.markIncomplete(job, metric.name, reasons);
+        });
+
+    console.log('Some metrics are incomplete', job.incomplete);
+}
+
+module.exports = {
+    computeMetrics,
+    flagIncompleteMetrics
+};
@@ -0,0 +1,182 @@
+// Project showcase detection. Links are pulled from message text, embeds and
+// attachment descriptions, normalised, and grouped by what they point at: a
+// repository on a known code host, or otherwise the site itself. The first
+// message in the period to share a project is credited with it.
+const DEFAULT_EXCLUDED_DOMAINS = ['cerebras.ai', 'discord.com', 'discord.gg', 'discordapp.com', 'discordapp.net'];
+const EXCLUDED_DOMAINS = process.env.PROJECT_EXCLUDED_DOMAINS
+    ? process.env.PROJECT_EXCLUDED_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_EXCLUDED_DOMAINS;
+
+// Only explicit http(s) links count; bare "foo.bar" text is too often not one.
+const URL_PATTERN = /https?:\/\/[^\s<>"'`|\]\[]+/gi;
+
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|fbclid|gclid|si)$/i;
+
+// Hosts where the first two path segments name a repository (owner and
+// name), some of them after a prefix such as /spaces/. On package registries
+// the name is a single segment, or two for a scoped npm package.
+const REPO_HOSTS = ['github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org', 'huggingface.co', 'replit.com'];
+const PACKAGE_HOSTS = ['npmjs.com', 'pypi.org'];
+const PATH_PREFIXES = {
+    'huggingface.co': ['spaces', 'datasets'],
+    'npmjs.com': ['package'],
+    'pypi.org': ['project']
+};
+
+const PROJECT_HEADER = [
+    'Project', 'URL', 'Type', 'Author ID', 'Author', 'Posted At', 'Message Link', 'Mentions',
+    'Stars', 'Forks', 'Language', 'Last Commit', 'Contributors'
+];
+
+// Markdown wraps links in brackets and sentences end in punctuation; neither
+// is part of the URL. A closing parenthesis is only kept when it balances one
+// inside the link, as in Wikipedia-style URLs.
+function trimUrl(raw) {
+    let url = raw.replace(/[.,;:!?*_~]+$/, '');
+    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+        url = url.slice(0, -1).replace(/[.,;:!?*_~]+$/, '');
+    }
+    return url;
+}
+
+function extractUrls(text) {
+    return (text || '').match(URL_PATTERN)?.map(trimUrl) || [];
+}
+
+function messageUrls(msg) {
+    const urls = extractUrls(msg.content);
+
+    (msg.embeds || []).forEach(embed => {
+        if (embed.url) urls.push(embed.url);
+        urls.push(...extractUrls(embed.description));
+        (embed.fields || []).forEach(field => urls.push(...extractUrls(field.value)));
+    });
+
+    (msg.attachments || []).forEach(attachment => {
+        urls.push(...extractUrls(attachment.description));
+        urls.push(...extractUrls(attachment.title));
+    });
+
+    return urls;
+}
+
+function isExcluded(host, excludedDomains) {
+    return excludedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// The canonical form of a link and the key projects are grouped by, or null
+// for something that isn't a usable link.
+function normalizeUrl(raw) {
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!host.includes('.')) return null;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (REPO_HOSTS.includes(host) || PACKAGE_HOSTS.includes(host)) {
+        const prefix = (PATH_PREFIXES[host] || []).includes(segments[0]) ? segments.slice(0, 1) : [];
+        const rest = segments.slice(prefix.length);
+        const length = PACKAGE_HOSTS.includes(host) && !(rest[0] || '').startsWith('@') ? 1 : 2;
+
+        if (rest.length >= length) {
+            const path = [...prefix, ...rest.slice(0, length)].join('/').replace(/\.git$/, '');
+            return { key: `${host}/${path}`.toLowerCase(), url: `https://${host}/${path}`, host, type: 'repo' };
+        }
+    }
+
+    Array.from(url.searchParams.keys())
+        .filter(param => TRACKING_PARAMS.test(param))
+        .forEach(param => url.searchParams.delete(param));
+    const query = url.searchParams.toString();
+
+    return {
+        key: host,
+        url: `https://${host}${segments.length ? `/${segments.join('/')}` : ''}${query ? `?${query}` : ''}`,
+        host,
+        type: 'site'
+    };
+}
+
+function messageLink(guildId, msg) {
+    return `https://discord.com/channels/${guildId}/${msg.channel_id}/${msg.id}`;
+}
+
+// One entry per distinct project shared in the messages, in the order they
+// were first posted.
+function findProjects(messages, { guildId, excludedDomains = EXCLUDED_DOMAINS }) {
+    const projects = new Map();
+    const chronological = messages
+        .filter(msg => !msg.deleted)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    chronological.forEach(msg => {
+        const seenInMessage = new Set();
+
+        messageUrls(msg).forEach(raw => {
+            const link = normalizeUrl(raw);
+            if (!link || isExcluded(link.host, excludedDomains) || seenInMessage.has(link.key)) return;
+            seenInMessage.add(link.key);
+
+            if (projects.has(link.key)) {
+                projects.get(link.key).mentions++;
+                return;
+            }
+
+            projects.set(link.key, {
+                key: link.key,
+                url: link.url,
+                type: link.type,
+                authorId: msg.author ? msg.author.id : null,
+                author: msg.author ? (msg.author.global_name || msg.author.username || msg.author.id) : '',
+                postedAt: msg.timestamp,
+                messageUrl: messageLink(guildId, msg),
+                mentions: 1
+            });
+        });
+    });
+
+    return Array.from(projects.values());
+}
+
+// `repo` is the project's GitHub stats, when it is a GitHub repository.
+function projectRow(project, repo = null) {
+    return [
+        project.key,
+        project.url,
+        project.type,
+        project.authorId,
+        project.author,
+        project.postedAt,
+        project.messageUrl,
+        project.mentions,
+        repo ? repo.stars : '',
+        repo ? repo.forks : '',
+        repo ? repo.language || '' : '',
+        repo ? repo.lastCommitAt || '' : '',
+        repo ? repo.contributors : ''
+    ];
+}
+
+async function getProjects(crawl, { showcaseChannelIds }) {
+    const messages = [];
+    for (const channelId of showcaseChannelIds) {
+        messages.push(...await crawl.channelMessages(channelId));
+    }
+    return findProjects(messages, { guildId: crawl.guildId });
+}
+
+module.exports = {
+    EXCLUDED_DOMAINS,
+    PROJECT_HEADER,
+    extractUrls,
+    normalizeUrl,
+    findProjects,
+    projectRow,
+    getProjects
+};
@@ -0,0 +1,34 @@
+// Fixed-window request counting, kept in memory: each key may make `limit`
+// requests per window. Enough for a single server process; the counts reset
+// when it restarts.
+function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();
+
+    function prune(now) {
+        windows.forEach((window, key) => {
+            if (now >= window.resetAt) windows.delete(key);
+        });
+    }
+
+    // Counts a request against the key. Returns whether it is allowed and,
+    // if not, how long until the window resets.
+    function take(key, now = Date.now()) {
+        let window = windows.get(key);
+        if (!window || now >= window.resetAt) {
+            if (windows.size > 1000) prune(now);
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        if (window.count >= limit) {
+            return { allowed: false, remaining: 0, retryAfterMs: window.resetAt - now };
+        }
+
+        window.count++;
+        return { allowed: true, remaining: limit - window.count, retryAfterMs: 0 };
+    }
+
+    return { limit, windowMs, take };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,97 @@
+const store = require('./store');
+
+// Showcased GitHub repositories and how they grow afterwards. Every repo that
+// has been showcased is tracked, and each run records a fresh snapshot of
+// the ones not looked at within the refresh interval, so the star history
+// keeps going long after the week it was shared.
+const REFRESH_INTERVAL_MS = (Number(process.env.GITHUB_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+
+function isGithubRepo(project) {
+    return project.type === 'repo' && project.key.startsWith('github.com/');
+}
+
+async function refreshRepo(github, repo, now) {
+    const [owner, name] = new URL(repo.url).pathname.split('/').filter(Boolean);
+    const stats = await github.getRepoStats(owner, name);
+    if (!stats) return null;
+
+    store.saveRepoStats(repo.key, stats, now);
+    return { ...stats, recordedAt: now };
+}
+
+// Records the period's GitHub projects for the guild, refreshes whatever of
+// the guild's is due, and returns the latest stats for the period's projects
+// keyed by project key.
+// A GitHub failure is logged rather than thrown: the rest of the run doesn't
+// depend on it, and a rate limit stops the refresh until the next run.
+async function enrichProjects(guildId, projects, github, now = Date.now()) {
+    const periodKeys = new Set();
+
+    projects.filter(isGithubRepo).forEach(project => {
+        periodKeys.add(project.key);
+        store.saveShowcasedRepo(guildId, {
+            key: project.key,
+            url: project.url,
+            showcasedAt: Date.parse(project.postedAt),
+            authorId: project.authorId,
+            messageUrl: project.messageUrl
+        });
+    });
+
+    const stats = {};
+    for (const repo of store.getShowcasedRepos(guildId)) {
+        const history = store.getRepoStats(repo.key);
+        let latest = history[history.length - 1] || null;
+
+        if (!latest || now - latest.recordedAt >= REFRESH_INTERVAL_MS) {
+            try {
+                latest = await refreshRepo(github, repo, now) || latest;
+            } catch (error) {
+                console.log(`Error fetching GitHub stats for ${repo.key}:`, error.message);
+                if (error.status === 403 || error.status === 429) break;
+            }
+        }
+
+        if (latest && periodKeys.has(repo.key)) {
+            stats[repo.key] = latest;
+        }
+    }
+
+    return stats;
+}
+
+// Each repository showcased in the guild with its stars when it was
+// showcased (the first snapshot from then on), its stars now, and the history
+// in between.
+function getGrowthReport(guildId) {
+    return store.getShowcasedRepos(guildId).map(repo => {
+        const history = store.getRepoStats(repo.key);
+        const baseline = history.find(snapshot => snapshot.recordedAt >= repo.showcasedAt) || history[0] || null;
+        const latest = history[history.length - 1] || null;
+
+        return {
+            key: repo.key,
+            url: repo.url,
+            showcasedAt: new Date(repo.showcasedAt).toISOString(),
+            authorId: repo.authorId,
+            messageUrl: repo.messageUrl,
+            starsAtShowcase: baseline ? baseline.stars : null,
+            stars: latest ? latest.stars : null,
+            starGrowth: baseline && latest ? latest.stars - baseline.stars : null,
+            forks: latest ? latest.forks : null,
+            language: latest ? latest.language : null,
+            lastCommitAt: latest ? latest.lastCommitAt : null,
+            contributors: latest ? latest.contributors : null,
+            history: history.map(snapshot => ({
+                recordedAt: new Date(snapshot.recordedAt).toISOString(),
+                stars: snapshot.stars
+            }))
+        };
+    });
+}
+
+module.exports = {
+    REFRESH_INTERVAL_MS,
+    enrichProjects,
+    getGrowthReport
+};
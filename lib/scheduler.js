@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const store = require('./store');
+const { DEFAULT_TIMEZONE, formatDateRange } = require('./dates');
+
+// Weeks run Monday to Sunday in the guild's timezone. Returns the ranges of
+// the last `count` complete weeks before `now`, oldest first.
+function completedWeeks(now, count, timezone = DEFAULT_TIMEZONE) {
+    const currentWeekStart = moment.tz(now, timezone).startOf('isoWeek');
+    const weeks = [];
+
+    for (let i = count; i >= 1; i--) {
+        const start = currentWeekStart.clone().subtract(i, 'weeks');
+        const end = start.clone().endOf('isoWeek');
+        weeks.push(formatDateRange(start, end));
+    }
+
+    return weeks;
+}
+
+// Runs the analytics pipeline for every recent complete week that has no
+// completed run yet, oldest first, so a week missed while the server was down
+// is picked up on the next tick (or at startup). Each guild gets its own
+// scheduler, ticking on its own calendar.
+function createScheduler({ guildId, timezone = DEFAULT_TIMEZONE, cronExpression, catchUpWeeks = 4, runWeek }) {
+    if (!cron.validate(cronExpression)) {
+        throw new Error(`Invalid SCHEDULE_CRON expression: ${cronExpression}`);
+    }
+
+    let task = null;
+    let running = false;
+    let lastTickAt = null;
+
+    async function tick() {
+        if (running) {
+            console.log(`Scheduled collection for guild ${guildId} still running, skipping this tick`);
+            return;
+        }
+
+        running = true;
+        lastTickAt = new Date().toISOString();
+
+        try {
+            const pending = completedWeeks(new Date(), catchUpWeeks, timezone)
+                .filter(weekRange => !store.hasCompletedRun(guildId, weekRange));
+
+            for (const weekRange of pending) {
+                console.log(`Scheduled collection for guild ${guildId}, ${weekRange}`);
+                try {
+                    await runWeek(weekRange);
+                } catch (error) {
+                    console.log(`Scheduled collection for ${weekRange} failed`, { error: error.message });
+                }
+            }
+        } catch (error) {
+            // Nothing awaits a tick (cron fires it), so this is the last
+            // place a failure can be seen.
+            console.log(`Scheduled collection for guild ${guildId} failed`, { error: error.message });
+            console.error('Error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        task = cron.schedule(cronExpression, tick, { timezone });
+        tick();
+    }
+
+    function stop() {
+        if (task) task.stop();
+        task = null;
+    }
+
+    function status() {
+        return {
+            enabled: !!task,
+            cron: cronExpression,
+            guildId,
+            timezone,
+            catchUpWeeks,
+            running,
+            lastTickAt,
+            runs: store.getRuns({ guildId, trigger: 'schedule', limit: 20 })
+        };
+    }
+
+    return { start, stop, tick, status };
+}
+
+module.exports = { createScheduler, completedWeeks };
@@ -0,0 +1,501 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.CACHE_DB_PATH || path.join(__dirname, '..', 'data', 'analytics.db');
+
+let db = null;
+
+// Also created on its own when an older database is brought up to date.
+const SHOWCASED_REPOS_TABLE = `
+    CREATE TABLE IF NOT EXISTS showcased_repos (
+        guild_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        url TEXT NOT NULL,
+        showcased_at INTEGER NOT NULL,
+        author_id TEXT,
+        message_url TEXT,
+        PRIMARY KEY (guild_id, key)
+    );
+`;
+
+// Opened on first use so the server can start without touching the disk.
+function getDb() {
+    if (db) return db;
+
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+            id TEXT PRIMARY KEY,
+            channel_id TEXT NOT NULL,
+            source_channel_id TEXT NOT NULL,
+            thread_id TEXT,
+            author_id TEXT,
+            timestamp INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS messages_source_time ON messages (source_channel_id, timestamp);
+
+        CREATE TABLE IF NOT EXISTS members (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            joined_at INTEGER,
+            data TEXT NOT NULL,
+            PRIMARY KEY (guild_id, user_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS member_events (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            occurred_at INTEGER NOT NULL,
+            window_start INTEGER,
+            window_end INTEGER,
+            source TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS member_events_time ON member_events (guild_id, occurred_at);
+
+        CREATE TABLE IF NOT EXISTS threads (
+            id TEXT PRIMARY KEY,
+            parent_id TEXT,
+            created_at INTEGER,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS threads_parent ON threads (parent_id);
+
+        CREATE TABLE IF NOT EXISTS audit_log_entries (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            action_type INTEGER NOT NULL,
+            target_id TEXT,
+            created_at INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS audit_action_time ON audit_log_entries (guild_id, action_type, created_at);
+
+        CREATE TABLE IF NOT EXISTS gateway_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            channel_id TEXT,
+            message_id TEXT,
+            user_id TEXT,
+            occurred_at INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS gateway_events_type_time ON gateway_events (guild_id, type, occurred_at);
+
+        CREATE TABLE IF NOT EXISTS gateway_sessions (
+            id TEXT PRIMARY KEY,
+            started_at INTEGER NOT NULL,
+            last_seen_at INTEGER NOT NULL
+        );
+
+        ${SHOWCASED_REPOS_TABLE}
+
+        CREATE TABLE IF NOT EXISTS repo_stats (
+            repo_key TEXT NOT NULL,
+            recorded_at INTEGER NOT NULL,
+            stars INTEGER,
+            forks INTEGER,
+            language TEXT,
+            last_commit_at TEXT,
+            contributors INTEGER,
+            PRIMARY KEY (repo_key, recorded_at)
+        );
+
+        CREATE TABLE IF NOT EXISTS runs (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT,
+            week_range TEXT NOT NULL,
+            trigger TEXT NOT NULL,
+            status TEXT NOT NULL,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS runs_week_range ON runs (week_range);
+
+        CREATE TABLE IF NOT EXISTS results (
+            guild_id TEXT NOT NULL,
+            week_range TEXT NOT NULL,
+            granularity TEXT,
+            start_at INTEGER NOT NULL,
+            end_at INTEGER NOT NULL,
+            metrics TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, week_range)
+        );
+        CREATE INDEX IF NOT EXISTS results_guild_start ON results (guild_id, start_at);
+
+        CREATE TABLE IF NOT EXISTS result_rows (
+            guild_id TEXT NOT NULL,
+            report TEXT NOT NULL,
+            week_range TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (guild_id, report, week_range, position)
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_state (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+    `);
+
+    // Runs recorded before guilds were configurable have no guild; the
+    // scheduler treats their weeks as not yet collected.
+    const runColumns = db.prepare('PRAGMA table_info(runs)').all().map(column => column.name);
+    if (!runColumns.includes('guild_id')) {
+        db.exec('ALTER TABLE runs ADD COLUMN guild_id TEXT');
+    }
+
+    // Showcased repos used to be tracked by key alone, with no way to tell
+    // which guild showed them. They are dropped and each guild's runs record
+    // theirs again; the star history is kept per repository and carries over.
+    const repoColumns = db.prepare('PRAGMA table_info(showcased_repos)').all().map(column => column.name);
+    if (!repoColumns.includes('guild_id')) {
+        db.exec('DROP TABLE showcased_repos');
+        db.exec(SHOWCASED_REPOS_TABLE);
+    }
+
+    return db;
+}
+
+function getSyncState(key) {
+    const row = getDb().prepare('SELECT value FROM sync_state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+}
+
+function setSyncState(key, value) {
+    getDb().prepare('INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)')
+        .run(key, JSON.stringify(value));
+}
+
+function saveMessages(messages, sourceChannelId, threadId = null) {
+    const insert = getDb().prepare(`
+        INSERT OR REPLACE INTO messages (id, channel_id, source_channel_id, thread_id, author_id, timestamp, data)
+        VALUES (@id, @channelId, @sourceChannelId, @threadId, @authorId, @timestamp, @data)
+    `);
+
+    getDb().transaction(() => {
+        messages.forEach(msg => insert.run({
+            id: msg.id,
+            channelId: threadId || sourceChannelId,
+            sourceChannelId,
+            threadId,
+            authorId: msg.author ? msg.author.id : null,
+            timestamp: Date.parse(msg.timestamp),
+            data: JSON.stringify(msg)
+        }));
+    })();
+}
+
+// Messages posted in a channel or any of its threads between the two dates.
+function getMessages(sourceChannelId, startDate, endDate) {
+    return getDb().prepare(`
+        SELECT thread_id, data FROM messages
+        WHERE source_channel_id = ? AND timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp DESC
+    `).all(sourceChannelId, startDate.valueOf(), endDate.valueOf())
+        .map(row => ({ ...JSON.parse(row.data), sourceChannelId, threadId: row.thread_id }));
+}
+
+// The member list is a snapshot of the guild as it is now, so it is replaced
+// wholesale rather than merged.
+function replaceMembers(guildId, members) {
+    const insert = getDb().prepare('INSERT INTO members (guild_id, user_id, joined_at, data) VALUES (?, ?, ?, ?)');
+
+    getDb().transaction(() => {
+        getDb().prepare('DELETE FROM members WHERE guild_id = ?').run(guildId);
+        members.forEach(member => insert.run(
+            guildId,
+            member.user.id,
+            member.joined_at ? Date.parse(member.joined_at) : null,
+            JSON.stringify(member)
+        ));
+    })();
+}
+
+function getMembers(guildId) {
+    return getDb().prepare('SELECT data FROM members WHERE guild_id = ?').all(guildId)
+        .map(row => JSON.parse(row.data));
+}
+
+// Ledger events are keyed so that the same join or departure seen twice, from
+// two snapshots or from a snapshot and the audit log, is only stored once.
+function saveMemberEvents(events) {
+    const insert = getDb().prepare(`
+        INSERT OR IGNORE INTO member_events (id, guild_id, user_id, type, occurred_at, window_start, window_end, source)
+        VALUES (@id, @guildId, @userId, @type, @occurredAt, @windowStart, @windowEnd, @source)
+    `);
+
+    getDb().transaction(() => {
+        events.forEach(event => insert.run({ windowStart: null, windowEnd: null, ...event }));
+    })();
+}
+
+function getMemberEvents(guildId, since) {
+    return getDb().prepare(`
+        SELECT * FROM member_events WHERE guild_id = ? AND occurred_at >= ? ORDER BY occurred_at
+    `).all(guildId, since.valueOf()).map(row => ({
+        id: row.id,
+        guildId: row.guild_id,
+        userId: row.user_id,
+        type: row.type,
+        occurredAt: row.occurred_at,
+        windowStart: row.window_start,
+        windowEnd: row.window_end,
+        source: row.source
+    }));
+}
+
+function saveThreads(threads) {
+    const insert = getDb().prepare('INSERT OR REPLACE INTO threads (id, parent_id, created_at, data) VALUES (?, ?, ?, ?)');
+
+    getDb().transaction(() => {
+        threads.forEach(thread => {
+            const created = thread.thread_metadata && thread.thread_metadata.creation_timestamp;
+            insert.run(thread.id, thread.parent_id, created ? Date.parse(created) : null, JSON.stringify(thread));
+        });
+    })();
+}
+
+function getThreads(parentId) {
+    return getDb().prepare('SELECT data FROM threads WHERE parent_id = ?').all(parentId)
+        .map(row => JSON.parse(row.data));
+}
+
+function saveAuditLogEntries(guildId, entries, createdAt) {
+    const insert = getDb().prepare(`
+        INSERT OR REPLACE INTO audit_log_entries (id, guild_id, action_type, target_id, created_at, data)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    getDb().transaction(() => {
+        entries.forEach(entry => insert.run(
+            entry.id, guildId, entry.action_type, entry.target_id, createdAt(entry), JSON.stringify(entry)
+        ));
+    })();
+}
+
+function getAuditLogEntries(guildId, actionType, startDate, endDate = null) {
+    return getDb().prepare(`
+        SELECT data FROM audit_log_entries
+        WHERE guild_id = ? AND action_type = ? AND created_at >= ? AND created_at <= ?
+        ORDER BY created_at DESC
+    `).all(guildId, actionType, startDate.valueOf(), endDate ? endDate.valueOf() : Number.MAX_SAFE_INTEGER)
+        .map(row => JSON.parse(row.data));
+}
+
+function saveGatewayEvent(event) {
+    getDb().prepare(`
+        INSERT INTO gateway_events (guild_id, type, channel_id, message_id, user_id, occurred_at, data)
+        VALUES (@guildId, @type, @channelId, @messageId, @userId, @occurredAt, @data)
+    `).run({ channelId: null, messageId: null, userId: null, ...event, data: JSON.stringify(event.data) });
+}
+
+function getGatewayEvents(guildId, types, startDate, endDate) {
+    return getDb().prepare(`
+        SELECT * FROM gateway_events
+        WHERE guild_id = ? AND type IN (${types.map(() => '?').join(', ')}) AND occurred_at >= ? AND occurred_at <= ?
+        ORDER BY occurred_at
+    `).all(guildId, ...types, startDate.valueOf(), endDate.valueOf()).map(row => ({
+        guildId: row.guild_id,
+        type: row.type,
+        channelId: row.channel_id,
+        messageId: row.message_id,
+        userId: row.user_id,
+        occurredAt: row.occurred_at,
+        data: JSON.parse(row.data)
+    }));
+}
+
+// A gateway session is the span a connection was known to be receiving
+// events, from READY to its last heartbeat acknowledgement. Resuming keeps
+// the same session, since Discord replays anything missed in between.
+function touchGatewaySession(id, seenAt) {
+    getDb().prepare(`
+        INSERT INTO gateway_sessions (id, started_at, last_seen_at) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET last_seen_at = MAX(last_seen_at, excluded.last_seen_at)
+    `).run(id, seenAt, seenAt);
+}
+
+function getGatewaySessions() {
+    return getDb().prepare('SELECT * FROM gateway_sessions ORDER BY started_at').all()
+        .map(row => ({ id: row.id, startedAt: row.started_at, lastSeenAt: row.last_seen_at }));
+}
+
+// A repository is credited to the earliest showcase of it seen in the guild,
+// whichever order the periods were collected in.
+function saveShowcasedRepo(guildId, repo) {
+    getDb().prepare(`
+        INSERT INTO showcased_repos (guild_id, key, url, showcased_at, author_id, message_url)
+        VALUES (@guildId, @key, @url, @showcasedAt, @authorId, @messageUrl)
+        ON CONFLICT (guild_id, key) DO UPDATE SET
+            url = excluded.url, showcased_at = excluded.showcased_at,
+            author_id = excluded.author_id, message_url = excluded.message_url
+        WHERE excluded.showcased_at < showcased_repos.showcased_at
+    `).run({ guildId, ...repo });
+}
+
+function getShowcasedRepos(guildId) {
+    return getDb().prepare('SELECT * FROM showcased_repos WHERE guild_id = ? ORDER BY showcased_at').all(guildId).map(row => ({
+        key: row.key,
+        url: row.url,
+        showcasedAt: row.showcased_at,
+        authorId: row.author_id,
+        messageUrl: row.message_url
+    }));
+}
+
+function saveRepoStats(repoKey, stats, recordedAt) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO repo_stats (repo_key, recorded_at, stars, forks, language, last_commit_at, contributors)
+        VALUES (@repoKey, @recordedAt, @stars, @forks, @language, @lastCommitAt, @contributors)
+    `).run({ repoKey, recordedAt, ...stats });
+}
+
+// Every recorded snapshot of a repository, oldest first.
+function getRepoStats(repoKey) {
+    return getDb().prepare('SELECT * FROM repo_stats WHERE repo_key = ? ORDER BY recorded_at').all(repoKey).map(row => ({
+        recordedAt: row.recorded_at,
+        stars: row.stars,
+        forks: row.forks,
+        language: row.language,
+        lastCommitAt: row.last_commit_at,
+        contributors: row.contributors
+    }));
+}
+
+function saveRun(run) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO runs (id, guild_id, week_range, trigger, status, started_at, finished_at, error)
+        VALUES (@id, @guildId, @weekRange, @trigger, @status, @startedAt, @finishedAt, @error)
+    `).run({ guildId: null, finishedAt: null, error: null, ...run });
+}
+
+function getRuns({ guildId = null, trigger = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (guildId) {
+        conditions.push('guild_id = ?');
+        params.push(guildId);
+    }
+    if (trigger) {
+        conditions.push('trigger = ?');
+        params.push(trigger);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = getDb().prepare(`SELECT * FROM runs ${where} ORDER BY started_at DESC LIMIT ?`).all(...params, limit);
+
+    return rows.map(row => ({
+        id: row.id,
+        guildId: row.guild_id,
+        weekRange: row.week_range,
+        trigger: row.trigger,
+        status: row.status,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        error: row.error
+    }));
+}
+
+// A period's metrics as last exported, one entry per guild and week range.
+function saveResults(guildId, results) {
+    const upsert = getDb().prepare(`
+        INSERT OR REPLACE INTO results (guild_id, week_range, granularity, start_at, end_at, metrics, updated_at)
+        VALUES (@guildId, @weekRange, @granularity, @startAt, @endAt, @metrics, @updatedAt)
+    `);
+    const updatedAt = Date.now();
+
+    getDb().transaction(() => {
+        results.forEach(result => upsert.run({
+            guildId,
+            weekRange: result.weekRange,
+            granularity: result.granularity,
+            startAt: result.startDate.valueOf(),
+            endAt: result.endDate.valueOf(),
+            metrics: JSON.stringify(result.metrics),
+            updatedAt
+        }));
+    })();
+}
+
+// Oldest first, optionally only the periods of one granularity.
+function getResults(guildId, { granularity = null } = {}) {
+    const rows = granularity
+        ? getDb().prepare('SELECT * FROM results WHERE guild_id = ? AND granularity = ? ORDER BY start_at').all(guildId, granularity)
+        : getDb().prepare('SELECT * FROM results WHERE guild_id = ? ORDER BY start_at').all(guildId);
+
+    return rows.map(row => ({
+        weekRange: row.week_range,
+        granularity: row.granularity,
+        startAt: row.start_at,
+        endAt: row.end_at,
+        metrics: JSON.parse(row.metrics),
+        updatedAt: row.updated_at
+    }));
+}
+
+function replaceResultRows(guildId, report, entries) {
+    const insert = getDb().prepare(`
+        INSERT INTO result_rows (guild_id, report, week_range, position, data) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    getDb().transaction(() => {
+        entries.forEach(({ weekRange, rows }) => {
+            getDb().prepare('DELETE FROM result_rows WHERE guild_id = ? AND report = ? AND week_range = ?')
+                .run(guildId, report, weekRange);
+            rows.forEach((row, position) => insert.run(guildId, report, weekRange, position, JSON.stringify(row)));
+        });
+    })();
+}
+
+function getResultRows(guildId, report, weekRange) {
+    return getDb().prepare(`
+        SELECT data FROM result_rows WHERE guild_id = ? AND report = ? AND week_range = ? ORDER BY position
+    `).all(guildId, report, weekRange).map(row => JSON.parse(row.data));
+}
+
+function hasCompletedRun(guildId, weekRange) {
+    return !!getDb().prepare(`
+        SELECT 1 FROM runs WHERE guild_id = ? AND week_range = ? AND status = 'completed' LIMIT 1
+    `).get(guildId, weekRange);
+}
+
+module.exports = {
+    DB_PATH,
+    getSyncState,
+    setSyncState,
+    saveMessages,
+    getMessages,
+    replaceMembers,
+    getMembers,
+    saveMemberEvents,
+    getMemberEvents,
+    saveThreads,
+    getThreads,
+    saveAuditLogEntries,
+    getAuditLogEntries,
+    saveGatewayEvent,
+    getGatewayEvents,
+    touchGatewaySession,
+    getGatewaySessions,
+    saveShowcasedRepo,
+    getShowcasedRepos,
+    saveRepoStats,
+    getRepoStats,
+    saveRun,
+    getRuns,
+    hasCompletedRun,
+    saveResults,
+    getResults,
+    replaceResultRows,
+    getResultRows
+};
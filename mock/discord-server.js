@@ -0,0 +1,236 @@
+const express = require('express');
+const discord = require('../lib/discord');
+const { createMockGateway } = require('./gateway-server');
+
+// A local stand-in for the parts of the Discord REST API the crawler uses,
+// serving a recorded guild snapshot (see fixtures/sample-guild.json). It pages
+// the way Discord does (limit, before and after on snowflakes, has_more on
+// archived threads) and can answer every Nth request with a 429, so the
+// client's pagination and rate-limit handling run exactly as they would
+// against the real API.
+//
+// A fixture holds the guild, its channels, members, threads, audit log
+// entries and messages keyed by channel or thread ID. Anything without an
+// `id` gets one from its `timestamp` (messages) or `createdAt`, which keeps
+// hand-written fixtures readable.
+//
+// The Gateway is served from the same port (see gateway-server.js) and
+// /gateway/bot points at it. Channels in `forbiddenChannelIds` answer message
+// reads with a 403, as channels the bot can't see do.
+
+const API_PATH = '/api/v10';
+
+function byIdDescending(a, b) {
+    return discord.compareSnowflakes(b.id, a.id);
+}
+
+// Assigns IDs from timestamps, one millisecond's worth of increments apart so
+// items sharing a timestamp still get distinct, correctly ordered IDs.
+function withIds(items, timeOf) {
+    const used = new Set();
+    return items.map(item => {
+        if (item.id) {
+            used.add(item.id);
+            return item;
+        }
+
+        let id = BigInt(discord.timestampToSnowflake(Date.parse(timeOf(item))));
+        while (used.has(id.toString())) id++;
+        used.add(id.toString());
+        return { ...item, id: id.toString() };
+    });
+}
+
+function loadFixture(fixture) {
+    const messages = {};
+    Object.entries(fixture.messages || {}).forEach(([channelId, list]) => {
+        messages[channelId] = withIds(list, msg => msg.timestamp)
+            .map(msg => ({ channel_id: channelId, reactions: [], embeds: [], attachments: [], ...msg }));
+    });
+
+    return {
+        guild: fixture.guild,
+        channels: withIds(fixture.channels || [], channel => channel.createdAt),
+        members: (fixture.members || []).slice()
+            .sort((a, b) => discord.compareSnowflakes(a.user.id, b.user.id)),
+        threads: withIds(fixture.threads || [], thread => thread.createdAt),
+        auditLogs: withIds(fixture.auditLogs || [], entry => entry.createdAt).sort(byIdDescending),
+        messages
+    };
+}
+
+// Discord's before/after/limit paging over items sorted newest first.
+function page(items, { before, after, limit }, max) {
+    const size = Math.min(Number(limit) || 50, max);
+
+    if (after) {
+        return items
+            .filter(item => discord.compareSnowflakes(item.id, after) > 0)
+            .slice(-size);
+    }
+
+    return items
+        .filter(item => !before || discord.compareSnowflakes(item.id, before) < 0)
+        .slice(0, size);
+}
+
+function createMockDiscordServer({
+    fixture,
+    token = null,
+    rateLimitEvery = 0,
+    retryAfterSeconds = 0.05,
+    heartbeatInterval = 41250,
+    forbiddenChannelIds = []
+}) {
+    const data = loadFixture(fixture);
+    const gateway = createMockGateway({ token, heartbeatInterval });
+    const app = express();
+    const requests = [];
+    const rateLimited = [];
+    const posted = [];
+    let server = null;
+
+    app.use((req, res, next) => {
+        requests.push(`${req.method} ${req.path}`);
+
+        if (token && req.get('authorization') !== `Bot ${token.replace(/^Bot /, '')}`) {
+            return res.status(401).json({ message: '401: Unauthorized', code: 0 });
+        }
+
+        res.set({
+            'X-RateLimit-Bucket': 'mock',
+            'X-RateLimit-Limit': '50',
+            'X-RateLimit-Remaining': '49',
+            'X-RateLimit-Reset-After': '0.001'
+        });
+
+        if (rateLimitEvery && requests.length % rateLimitEvery === 0) {
+            rateLimited.push(`${req.method} ${req.path}`);
+            return res.status(429).json({ message: 'You are being rate limited.', retry_after: retryAfterSeconds, global: false });
+        }
+        next();
+    });
+
+    const api = express.Router();
+    api.use(express.json());
+
+    api.get('/gateway/bot', (req, res) => {
+        res.json({ url: gateway.url(), shards: 1 });
+    });
+
+    api.get('/guilds/:guildId', (req, res) => {
+        res.json({
+            ...data.guild,
+            approximate_member_count: data.members.length
+        });
+    });
+
+    api.get('/guilds/:guildId/channels', (req, res) => {
+        res.json(data.channels);
+    });
+
+    api.get('/guilds/:guildId/members', (req, res) => {
+        const size = Math.min(Number(req.query.limit) || 1, 1000);
+        const after = req.query.after || '0';
+        res.json(data.members
+            .filter(member => discord.compareSnowflakes(member.user.id, after) > 0)
+            .slice(0, size));
+    });
+
+    api.get('/guilds/:guildId/members/:userId', (req, res) => {
+        const member = data.members.find(entry => entry.user.id === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ message: 'Unknown Member', code: 10007 });
+        }
+        res.json(member);
+    });
+
+    api.get('/guilds/:guildId/threads/active', (req, res) => {
+        res.json({ threads: data.threads.filter(thread => !(thread.thread_metadata || {}).archived), members: [] });
+    });
+
+    api.get('/guilds/:guildId/audit-logs', (req, res) => {
+        const actionType = Number(req.query.action_type);
+        const entries = data.auditLogs.filter(entry => !actionType || entry.action_type === actionType);
+        res.json({
+            audit_log_entries: page(entries, req.query, 100),
+            users: [],
+            threads: [],
+            webhooks: []
+        });
+    });
+
+    api.get('/channels/:channelId/threads/archived/:visibility', (req, res) => {
+        const type = req.params.visibility === 'private'
+            ? discord.CHANNEL_TYPES.PRIVATE_THREAD
+            : discord.CHANNEL_TYPES.PUBLIC_THREAD;
+        const archived = data.threads
+            .filter(thread => thread.parent_id === req.params.channelId && thread.type === type)
+            .filter(thread => (thread.thread_metadata || {}).archived)
+            .sort((a, b) => Date.parse(b.thread_metadata.archive_timestamp) - Date.parse(a.thread_metadata.archive_timestamp))
+            .filter(thread => !req.query.before || Date.parse(thread.thread_metadata.archive_timestamp) < Date.parse(req.query.before));
+
+        const size = Math.min(Number(req.query.limit) || 50, 100);
+        res.json({ threads: archived.slice(0, size), members: [], has_more: archived.length > size });
+    });
+
+    api.get('/channels/:channelId/messages', (req, res) => {
+        if (forbiddenChannelIds.includes(req.params.channelId)) {
+            return res.status(403).json({ message: 'Missing Access', code: 50001 });
+        }
+        const messages = data.messages[req.params.channelId];
+        if (!messages) {
+            return res.status(404).json({ message: 'Unknown Channel', code: 10003 });
+        }
+        res.json(page(messages.slice().sort(byIdDescending), req.query, 100));
+    });
+
+    // Messages the bot posts, such as run summaries, are kept in `posted` as
+    // well as in the channel.
+    api.post('/channels/:channelId/messages', (req, res) => {
+        const messages = data.messages[req.params.channelId];
+        if (!messages) {
+            return res.status(404).json({ message: 'Unknown Channel', code: 10003 });
+        }
+
+        const message = {
+            id: discord.timestampToSnowflake(Date.now()),
+            channel_id: req.params.channelId,
+            author: { id: '0', username: 'analytics', bot: true },
+            content: req.body.content || '',
+            timestamp: new Date().toISOString(),
+            reactions: [],
+            embeds: [],
+            attachments: []
+        };
+        messages.push(message);
+        posted.push(message);
+        res.json(message);
+    });
+
+    app.use(API_PATH, api);
+    app.use((req, res) => res.status(404).json({ message: '404: Not Found', code: 0 }));
+
+    // Resolves to the API base URL once listening; port 0 picks a free port.
+    function start(port = 0) {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, '127.0.0.1', () => {
+                gateway.attach(server, '/gateway', `ws://127.0.0.1:${server.address().port}`);
+                resolve(`http://127.0.0.1:${server.address().port}${API_PATH}`);
+            });
+            server.on('error', reject);
+        });
+    }
+
+    function stop() {
+        gateway.close();
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    return { start, stop, gateway, requests, rateLimited, posted };
+}
+
+module.exports = {
+    loadFixture,
+    createMockDiscordServer
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+// A local stand-in for the Discord Gateway, attached to the mock REST
+// server's HTTP listener. It speaks the same opcodes the client does: HELLO
+// on connect, HEARTBEAT_ACK for every heartbeat, READY after an IDENTIFY with
+// the right token and RESUMED after a RESUME of a known session, with every
+// dispatch the client missed replayed first. Dispatches sent while no client
+// is connected are held for the session the same way, so dropping the
+// connection and resuming loses nothing, as it wouldn't on Discord.
+
+const OPCODES = {
+    DISPATCH: 0,
+    HEARTBEAT: 1,
+    IDENTIFY: 2,
+    RESUME: 6,
+    INVALID_SESSION: 9,
+    HELLO: 10,
+    HEARTBEAT_ACK: 11
+};
+
+const AUTHENTICATION_FAILED = 4004;
+
+function createMockGateway({ token = null, heartbeatInterval = 41250 }) {
+    const wss = new WebSocketServer({ noServer: true });
+    // Every payload the client sent, oldest first.
+    const received = [];
+    const sessions = new Map();
+    let current = null;
+    let url = null;
+
+    function send(socket, op, d = null, s = null, t = null) {
+        socket.send(JSON.stringify({ op, d, s, t }));
+    }
+
+    function sendDispatch(session, event) {
+        if (current && current.session === session && current.socket.readyState === current.socket.OPEN) {
+            send(current.socket, OPCODES.DISPATCH, event.data, event.sequence, event.type);
+        }
+    }
+
+    function tokenMatches(value) {
+        return !token || (value || '').replace(/^Bot /, '') === token.replace(/^Bot /, '');
+    }
+
+    function handlePayload(connection, { op, d }) {
+        received.push({ op, d });
+
+        switch (op) {
+            case OPCODES.HEARTBEAT:
+                send(connection.socket, OPCODES.HEARTBEAT_ACK);
+                break;
+            case OPCODES.IDENTIFY: {
+                if (!tokenMatches(d && d.token)) {
+                    connection.socket.close(AUTHENTICATION_FAILED, 'Authentication failed.');
+                    return;
+                }
+                const session = { id: crypto.randomUUID(), sequence: 0, events: [] };
+                sessions.set(session.id, session);
+                connection.session = session;
+                dispatchTo(session, 'READY', { v: 10, session_id: session.id, resume_gateway_url: url, guilds: [] });
+                break;
+            }
+            case OPCODES.RESUME: {
+                const session = d && tokenMatches(d.token) ? sessions.get(d.session_id) : null;
+                if (!session) {
+                    send(connection.socket, OPCODES.INVALID_SESSION, false);
+                    return;
+                }
+                connection.session = session;
+                session.events
+                    .filter(event => event.sequence > (d.seq || 0))
+                    .forEach(event => sendDispatch(session, event));
+                dispatchTo(session, 'RESUMED', {});
+                break;
+            }
+        }
+    }
+
+    function dispatchTo(session, type, data) {
+        const event = { sequence: ++session.sequence, type, data };
+        session.events.push(event);
+        sendDispatch(session, event);
+        return event.sequence;
+    }
+
+    wss.on('connection', socket => {
+        // A new connection replaces the old one, as a reconnecting client's would.
+        if (current) current.socket.terminate();
+        const connection = { socket, session: null };
+        current = connection;
+
+        socket.on('message', raw => {
+            try {
+                handlePayload(connection, JSON.parse(raw));
+            } catch (error) {
+                socket.close(4002, 'Decode error.');
+            }
+        });
+        socket.on('close', () => {
+            if (current === connection) current = null;
+        });
+
+        send(socket, OPCODES.HELLO, { heartbeat_interval: heartbeatInterval });
+    });
+
+    // Takes over upgrades to `path` on the HTTP server; `baseUrl` is the
+    // server's ws:// URL, which READY hands out as the resume URL.
+    function attach(server, path, baseUrl) {
+        url = `${baseUrl}${path}`;
+        server.on('upgrade', (req, socket, head) => {
+            if (new URL(req.url, 'http://localhost').pathname !== path) {
+                socket.destroy();
+                return;
+            }
+            wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+        });
+        return url;
+    }
+
+    // Sends an event to the latest session, or holds it for that session to
+    // resume if nobody is connected. Returns its sequence number.
+    function dispatch(type, data) {
+        const session = Array.from(sessions.values()).pop();
+        if (!session) {
+            throw new Error('No gateway session to dispatch to');
+        }
+        return dispatchTo(session, type, data);
+    }
+
+    // Cuts the connection without a close frame, the way a network drop would.
+    function drop() {
+        if (current) current.socket.terminate();
+    }
+
+    function close() {
+        wss.clients.forEach(socket => socket.terminate());
+        wss.close();
+    }
+
+    return {
+        attach,
+        dispatch,
+        drop,
+        close,
+        received,
+        connected: () => Boolean(current && current.session),
+        url: () => url
+    };
+}
+
+module.exports = {
+    OPCODES,
+    createMockGateway
+};
@@ -0,0 +1,94 @@
+const express = require('express');
+
+// A local stand-in for the parts of the GitHub REST API the repo enrichment
+// uses: a repository, its latest commit and its contributor count, which
+// GitHub gives as the last page of a per_page=1 listing. Repositories come
+// from `repos`, keyed by "owner/name"; anything else is a 404, as a deleted
+// or private repository is. Entries can be changed while it runs, so a test
+// can grow a repository's stars between refreshes.
+//
+// After setRateLimited(true) every request gets the 403 GitHub sends once the
+// hourly limit is spent.
+
+function createMockGithubServer({ repos = {} } = {}) {
+    const app = express();
+    const requests = [];
+    const state = { rateLimited: false };
+    let server = null;
+
+    app.use((req, res, next) => {
+        requests.push(`${req.method} ${req.path}`);
+
+        if (state.rateLimited) {
+            res.set('X-RateLimit-Remaining', '0');
+            return res.status(403).json({ message: 'API rate limit exceeded' });
+        }
+        next();
+    });
+
+    function findRepo(req, res) {
+        const repo = repos[`${req.params.owner}/${req.params.name}`];
+        if (!repo) {
+            res.status(404).json({ message: 'Not Found' });
+        }
+        return repo;
+    }
+
+    app.get('/repos/:owner/:name', (req, res) => {
+        const repo = findRepo(req, res);
+        if (!repo) return;
+
+        res.json({
+            full_name: `${req.params.owner}/${req.params.name}`,
+            stargazers_count: repo.stars,
+            forks_count: repo.forks,
+            language: repo.language,
+            pushed_at: repo.lastCommitAt
+        });
+    });
+
+    app.get('/repos/:owner/:name/commits', (req, res) => {
+        const repo = findRepo(req, res);
+        if (!repo) return;
+
+        res.json([{ sha: 'mock', commit: { committer: { date: repo.lastCommitAt } } }]);
+    });
+
+    app.get('/repos/:owner/:name/contributors', (req, res) => {
+        const repo = findRepo(req, res);
+        if (!repo) return;
+        if (!repo.contributors) return res.status(204).end();
+
+        const url = `http://${req.get('host')}${req.path}?per_page=1&anon=true`;
+        if (repo.contributors > 1) {
+            res.set('Link', `<${url}&page=2>; rel="next", <${url}&page=${repo.contributors}>; rel="last"`);
+        }
+        res.json([{ login: 'contributor', contributions: 1 }]);
+    });
+
+    // Resolves to the API base URL once listening; port 0 picks a free port.
+    function start(port = 0) {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+            server.on('error', reject);
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+
+    return {
+        start,
+        stop,
+        requests,
+        repos,
+        setRateLimited: value => { state.rateLimited = value; }
+    };
+}
+
+module.exports = {
+    createMockGithubServer
+};
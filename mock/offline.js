@@ -0,0 +1,65 @@
+const discord = require('../lib/discord');
+const jobs = require('../lib/jobs');
+const metricRegistry = require('../lib/metrics');
+const exporters = require('../lib/exporters');
+const { parseDateRange, formatDateRange } = require('../lib/dates');
+const { createCrawl } = require('../lib/crawl');
+const { computeMetrics, flagIncompleteMetrics } = require('../lib/pipeline');
+const { createGithubClient } = require('../lib/github');
+const { createMockDiscordServer } = require('./discord-server');
+const { createMockGithubServer } = require('./github-server');
+const { createFakeSheetsClient } = require('./sheets');
+
+// One pipeline run over a fixture: the crawl pages through it as served by
+// the mock Discord API, showcased repositories are looked up in the GitHub
+// stub, every metric is computed, and the results go to the fake Sheets
+// backend (and CSV and JSONL files when `outDir` is given). The caller picks
+// the cache database through CACHE_DB_PATH before loading this.
+async function runFixture(fixture, { rateLimitEvery = 7, outDir = null } = {}) {
+    const { startDate, endDate } = parseDateRange(fixture.range);
+    const weekRange = formatDateRange(startDate, endDate);
+
+    const server = createMockDiscordServer({ fixture, token: 'mock-token', rateLimitEvery });
+    discord.configure({ apiBase: await server.start(), token: 'mock-token' });
+    const githubServer = createMockGithubServer({ repos: fixture.githubRepos || {} });
+    const github = createGithubClient({ baseUrl: await githubServer.start() });
+
+    const sheetsClient = createFakeSheetsClient({ tabs: { Sheet1: [metricRegistry.summaryHeader()] } });
+    const names = ['sheets', ...(outDir ? ['csv', 'jsonl'] : [])];
+    const sinks = exporters.createExporters(names, { sheetId: 'offline', sheetsClient, exportDir: outDir });
+
+    try {
+        const crawl = createCrawl({
+            guildId: fixture.guild.id,
+            startDate,
+            endDate,
+            extraChannelIds: fixture.showcaseChannelIds || []
+        });
+        const job = jobs.createJob({ guildId: fixture.guild.id, weekRange, trigger: 'offline' });
+        jobs.startJob(job);
+
+        const results = await computeMetrics(job, crawl, {
+            showcaseChannelIds: fixture.showcaseChannelIds || [],
+            productKeywords: fixture.productKeywords || [],
+            github
+        });
+        flagIncompleteMetrics(job, crawl);
+        await exporters.exportMetrics(sinks, [{ weekRange, metrics: results }]);
+        jobs.completeJob(job, results);
+
+        return {
+            weekRange,
+            job,
+            results,
+            sheetsClient,
+            requests: server.requests,
+            rateLimited: server.rateLimited,
+            githubRequests: githubServer.requests
+        };
+    } finally {
+        await server.stop();
+        await githubServer.stop();
+    }
+}
+
+module.exports = { runFixture };
@@ -0,0 +1,49 @@
+// Runs the whole pipeline offline: the crawl pages through a recorded guild
+// snapshot served by the mock Discord API (rate limits included), every
+// metric is computed, and the results are exported to the fake Sheets
+// backend plus CSV and JSONL files.
+//
+//   node mock/run-offline.js [fixture.json] [--out dir]
+//
+// Nothing is read from or written to the real cache database; the run uses a
+// throwaway one in the system temp directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outDir = outIndex !== -1 ? path.resolve(args[outIndex + 1]) : null;
+const fixturePath = path.resolve(
+    args.find((arg, index) => !arg.startsWith('--') && index !== outIndex + 1) ||
+    path.join(__dirname, 'fixtures', 'sample-guild.json')
+);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const exporters = require('../lib/exporters');
+const { runFixture } = require('./offline');
+
+async function main() {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    try {
+        const { weekRange, sheetsClient, requests, rateLimited } = await runFixture(fixture, { outDir });
+
+        console.log(`\n${fixture.guild.name}, ${weekRange}: ${requests.length} requests to the mock API, ${rateLimited.length} rate limited`);
+        ['Sheet1', ...exporters.TABLES.map(table => table.title)].forEach(title => {
+            console.log(`\n${title}`);
+            sheetsClient.rows(title).forEach(row => console.log(`  ${row.join(' | ')}`));
+        });
+        if (outDir) console.log(`\nCSV and JSONL written to ${outDir}`);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('Offline run failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+// An in-memory stand-in for the Google Sheets API client, covering the calls
+// the sheets exporter makes: reading the spreadsheet's tabs, adding a tab,
+// inserting rows, and getting, updating and clearing ranges of values.
+// Ranges are A1 notation starting in column A ("Sheet1!A2:J3", "Tab!A:ZZ",
+// "Tab!A1"), which is all the exporter uses. Pass it to createSheetsExporter
+// as `client` and read the result back with rows(title).
+
+function parseRange(range) {
+    const [title, cells = 'A:ZZ'] = range.split('!');
+    const [start, end] = cells.split(':');
+    const startRow = Number((start.match(/\d+/) || [1])[0]);
+    const endMatch = end && end.match(/\d+/);
+
+    return { title, startRow, endRow: endMatch ? Number(endMatch[0]) : null };
+}
+
+function createFakeSheetsClient({ tabs = { Sheet1: [] } } = {}) {
+    const sheets = new Map();
+    let nextSheetId = 0;
+
+    function addTab(title, rows = []) {
+        sheets.set(title, { sheetId: nextSheetId++, rows: rows.map(row => row.slice()) });
+    }
+
+    Object.entries(tabs).forEach(([title, rows]) => addTab(title, rows));
+
+    function tab(title) {
+        if (!sheets.has(title)) {
+            const error = new Error(`Unable to parse range: ${title}`);
+            error.code = 400;
+            throw error;
+        }
+        return sheets.get(title);
+    }
+
+    function writeValues(range, values) {
+        const { title, startRow } = parseRange(range);
+        const rows = tab(title).rows;
+        values.forEach((row, index) => {
+            rows[startRow - 1 + index] = row.map(value => (value === null || value === undefined ? '' : value));
+        });
+        for (let i = 0; i < rows.length; i++) {
+            if (!rows[i]) rows[i] = [];
+        }
+    }
+
+    const spreadsheets = {
+        async get() {
+            return {
+                data: {
+                    sheets: Array.from(sheets.entries()).map(([title, { sheetId }]) => ({ properties: { title, sheetId } }))
+                }
+            };
+        },
+
+        async batchUpdate({ resource }) {
+            const replies = resource.requests.map(request => {
+                if (request.addSheet) {
+                    addTab(request.addSheet.properties.title);
+                    return { addSheet: { properties: { title: request.addSheet.properties.title, sheetId: nextSheetId - 1 } } };
+                }
+                if (request.insertDimension) {
+                    const { sheetId, startIndex, endIndex } = request.insertDimension.range;
+                    const target = Array.from(sheets.values()).find(entry => entry.sheetId === sheetId);
+                    target.rows.splice(startIndex, 0, ...Array.from({ length: endIndex - startIndex }, () => []));
+                    return {};
+                }
+                throw new Error(`Fake Sheets client doesn't support ${Object.keys(request)[0]}`);
+            });
+            return { data: { replies } };
+        },
+
+        values: {
+            async get({ range }) {
+                const { title, startRow, endRow } = parseRange(range);
+                const rows = tab(title).rows.slice(startRow - 1, endRow || undefined);
+                return { data: { values: rows.length ? rows.map(row => row.slice()) : undefined } };
+            },
+
+            async update({ range, resource }) {
+                writeValues(range, resource.values);
+                return { data: {} };
+            },
+
+            async batchUpdate({ resource }) {
+                resource.data.forEach(({ range, values }) => writeValues(range, values));
+                return { data: {} };
+            },
+
+            async clear({ range }) {
+                const { title, startRow, endRow } = parseRange(range);
+                const rows = tab(title).rows;
+                rows.splice(startRow - 1, endRow ? endRow - startRow + 1 : rows.length);
+                return { data: {} };
+            }
+        }
+    };
+
+    return {
+        spreadsheets,
+        rows: title => tab(title).rows.map(row => row.slice())
+    };
+}
+
+module.exports = { createFakeSheetsClient };
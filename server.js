@@ -1,31 +1,64 @@
+const path = require('path');
 const express = require('express');
-const fetch = require('node-fetch');
-const { google } = require('googleapis');
 const moment = require('moment-timezone');
 const cors = require('cors');
+const jobs = require('./lib/jobs');
+const { createCrawl } = require('./lib/crawl');
+const metricRegistry = require('./lib/metrics');
+const {
+    GRANULARITIES,
+    parseDateRange,
+    parseRangeSpec,
+    splitRange,
+    resolveBuckets,
+    formatDateRange,
+    bucketGranularity,
+    DateRangeError
+} = require('./lib/dates');
+const exporters = require('./lib/exporters');
+const store = require('./lib/store');
+const membership = require('./lib/membership');
+const engagement = require('./lib/engagement');
+const contributors = require('./lib/contributors');
+const content = require('./lib/content');
+const moderation = require('./lib/moderation');
+const { formatCsv } = require('./lib/exporters/csv');
+const { createGithubClient, GITHUB_API_BASE } = require('./lib/github');
+const repos = require('./lib/repos');
+const { createScheduler } = require('./lib/scheduler');
+const { createGatewayClient } = require('./lib/gateway');
+const eventlog = require('./lib/eventlog');
+const { loadGuilds, findGuild } = require('./lib/config');
+const comparison = require('./lib/comparison');
+const history = require('./lib/history');
+const { computeMetrics, flagIncompleteMetrics } = require('./lib/pipeline');
+const { createAuth, parseApiKeys, hasRole } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/ratelimit');
+const notifications = require('./lib/notifications');
+
+function envList(name) {
+    return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Only the listed origins may call the API from a browser; the dashboard
+// itself is served from the same origin and needs no entry.
+const CORS_ORIGINS = envList('CORS_ORIGINS');
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json());
-
-const DISCORD_API_BASE = "https://discord.com/api/v10";
-const TOKEN = process.env.TOKEN;
-const GUILD_ID = process.env.GUILD_ID;
-const CHANNEL_ID = process.env.CHANNEL_ID;
-const SHEET_ID = process.env.SHEET_ID;
-
-const CHANNEL_TYPES = {
-    TEXT: 0,
-    PUBLIC_THREAD: 11,
-    PRIVATE_THREAD: 12,
-    FORUM: 15,
-    FORUM_POST: 11
-};
-
-function isMessageableChannel(channel) {
-    return channel.type === CHANNEL_TYPES.TEXT || 
-           channel.type === CHANNEL_TYPES.FORUM;
-}
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Every guild analytics are collected for, from config/guilds.json (or
+// GUILDS_CONFIG), falling back to the single guild described by GUILD_ID,
+// CHANNEL_ID and the export variables.
+const GUILDS = loadGuilds();
+const SCHEDULE_CRON = process.env.SCHEDULE_CRON;
+const SCHEDULE_CATCHUP_WEEKS = Number(process.env.SCHEDULE_CATCHUP_WEEKS) || 4;
+const GATEWAY_ENABLED = process.env.GATEWAY_ENABLED === 'true';
+const DISCORD_GATEWAY_URL = process.env.DISCORD_GATEWAY_URL || null;
+const GITHUB_API_URL = process.env.GITHUB_API_URL || GITHUB_API_BASE;
+const GITHUB_ENRICHMENT = process.env.GITHUB_ENRICHMENT !== 'false';
 
 let GOOGLE_CREDENTIALS;
 try {
@@ -35,570 +68,770 @@ try {
     throw new Error(`Invalid GOOGLE_CREDENTIALS: ${error.message}`);
 }
 
-const LOCAL_TIMEZONE = "America/Los_Angeles";
-const AUDIT_LOG_ACTIONS = {
-    MEMBER_ADD: 1,
-    MEMBER_REMOVE: 20,
-    MESSAGE_DELETE: 72,
-    MEMBER_UPDATE: 24,
-    MEMBER_ROLE_UPDATE: 25
-};
+const github = GITHUB_ENRICHMENT
+    ? createGithubClient({ baseUrl: GITHUB_API_URL, token: process.env.GITHUB_TOKEN || null })
+    : null;
+
+// Every route below /auth needs an API key or a Discord login. Discord users
+// get the runner role from AUTH_RUNNER_USER_IDS or a role in
+// AUTH_RUNNER_ROLE_IDS, the moderator role from one in
+// AUTH_MODERATOR_ROLE_IDS, and the viewer role from one in
+// AUTH_VIEWER_ROLE_IDS (or from simply being in a configured guild, if that
+// list is empty).
+// AUTH_DISABLED=true lets everyone in as a runner, for local development.
+const auth = createAuth({
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    sessionSecret: process.env.SESSION_SECRET || null,
+    oauth: process.env.DISCORD_CLIENT_ID ? {
+        clientId: process.env.DISCORD_CLIENT_ID,
+        clientSecret: process.env.DISCORD_CLIENT_SECRET,
+        redirectUri: process.env.DISCORD_REDIRECT_URI
+    } : null,
+    guildIds: GUILDS.map(guild => guild.id),
+    runnerRoleIds: envList('AUTH_RUNNER_ROLE_IDS'),
+    moderatorRoleIds: envList('AUTH_MODERATOR_ROLE_IDS'),
+    viewerRoleIds: envList('AUTH_VIEWER_ROLE_IDS'),
+    runnerUserIds: envList('AUTH_RUNNER_USER_IDS'),
+    sessionHours: Number(process.env.SESSION_HOURS) || 12,
+    disabled: process.env.AUTH_DISABLED === 'true'
+});
 
-const HEADERS = {
-    'Authorization': TOKEN.startsWith('Bot ') ? TOKEN : `Bot ${TOKEN}`,
-    'User-Agent': 'DiscordBot (discord-analytics-bot, 1.0.0)',
-    'Content-Type': 'application/json',
-    'X-RateLimit-Precision': 'millisecond',
-};
+// Each guild's run summaries and failure alerts. SMTP_URL and
+// NOTIFY_EMAIL_FROM are shared by every guild that sends email.
+const notifiers = new Map(GUILDS.map(guild => [guild.id, notifications.createNotifier({
+    ...guild.notifications,
+    emailFrom: process.env.NOTIFY_EMAIL_FROM || null,
+    smtpUrl: process.env.SMTP_URL || null
+})]));
 
+// Sends the summary of a stored period, anomalies included. Like a failed
+// export to one target, a failed notification is logged and the run stands.
+async function notifyRun(guild, { weekRange, startDate, endDate }) {
+    const notifier = notifiers.get(guild.id);
+    if (!notifier.enabled) return;
 
-function adjustToLocalTime(utcTimeStr) {
-    const utcTime = moment.utc(utcTimeStr);
-    if (!utcTime.isValid()) {
-        return moment.tz(utcTimeStr, LOCAL_TIMEZONE);
+    try {
+        const summary = notifications.buildSummary(guild, weekRange, { granularity: bucketGranularity(startDate, endDate) });
+        if (summary) await notifier.runSummary(summary);
+    } catch (error) {
+        console.log('Error sending run summary:', error.message);
     }
-    return utcTime.tz(LOCAL_TIMEZONE);
 }
 
-function parseDateRange(weekRange) {
-    const [startStr, endStr] = weekRange.split(' - ').map(s => s.trim());
-
-    const startDate = moment.tz(startStr, "MMM DD YYYY", LOCAL_TIMEZONE)
-        .startOf('day');
-    const endDate = moment.tz(endStr, "MMM DD YYYY", LOCAL_TIMEZONE)
-        .endOf('day');
-
-    return { startDate, endDate };
+// `jobId` is null for a run that never got a job, like a scheduled week
+// another run was already covering.
+async function notifyFailure(guild, { weekRanges, trigger, jobId }, error) {
+    const notifier = notifiers.get(guild.id);
+    if (!notifier.enabled) return;
+
+    await notifier.runFailure({
+        guildName: guild.name,
+        weekRanges,
+        trigger,
+        jobId,
+        error: error.message
+    });
 }
 
+// Per caller: a cap on all API requests, and a much lower one on anything
+// that crawls Discord, which is every run and the on-demand reports.
+const requestLimiter = createRateLimiter({
+    limit: Number(process.env.RATE_LIMIT_PER_MINUTE) || 120,
+    windowMs: 60 * 1000
+});
+const crawlLimiter = createRateLimiter({
+    limit: Number(process.env.CRAWL_RATE_LIMIT_PER_HOUR) || 20,
+    windowMs: 60 * 60 * 1000
+});
 
-async function makeDiscordRequest(endpoint, method = "GET", ignore403 = false) {
-    const url = `${DISCORD_API_BASE}${endpoint}`;
+function rateLimit(limiter) {
+    return (req, res, next) => {
+        const { allowed, remaining, retryAfterMs } = limiter.take(req.principal.id);
+        res.set('X-RateLimit-Limit', String(limiter.limit));
+        res.set('X-RateLimit-Remaining', String(remaining));
 
-    while (true) {
-        try {
-            const response = await fetch(url, { method, headers: HEADERS });
+        if (!allowed) {
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return res.status(429).json({ error: 'Rate limit exceeded, try again later' });
+        }
+        next();
+    };
+}
 
-            if (response.status === 429) {
-                const data = await response.json();
-                const retryAfter = data.retry_after;
-                console.log(`Rate limited. Waiting ${retryAfter} seconds...`);
-                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                continue;
-            }
+const runnerOnly = auth.requireRole('runner');
+const crawlLimit = rateLimit(crawlLimiter);
 
-            if (response.status === 403 && ignore403) {
-                return null;
-            }
+app.get('/auth/login', auth.login);
+app.get('/auth/callback', auth.callback);
+app.post('/auth/logout', auth.logout);
+app.get('/auth/me', auth.me);
 
-            if (!response.ok) {
-                throw new Error(`Discord API Error: ${response.status} ${response.statusText}`);
-            }
+app.use(auth.middleware, rateLimit(requestLimiter));
 
-            const data = await response.json();
-            console.log(`Request successful: ${url}`);
-            return data;
-        } catch (error) {
-            console.log(`Request failed: ${url}`, { error: error.message });
-            throw error;
-        }
+// The guild a request is for, by id or name in `guild`, defaulting to the
+// first configured one. Sends the error response itself when there isn't one.
+function requestGuild(req, res) {
+    const ref = (req.body && req.body.guild) || req.query.guild;
+    const guild = findGuild(GUILDS, ref);
+
+    if (!guild) {
+        res.status(ref ? 404 : 400).json({ error: ref ? `Unknown guild: ${ref}` : 'No guild is configured' });
     }
+    return guild;
 }
 
-async function getAuditLogs(actionType, before = null, limit = 100) {
-    let endpoint = `/guilds/${GUILD_ID}/audit-logs?action_type=${actionType}&limit=${limit}`;
-    if (before) {
-        endpoint += `&before=${before}`;
+// What `parse` reads from the request's range. A range the caller got wrong
+// gets a 400 and any other error goes to the error handler; either way the
+// response is taken care of and null comes back.
+function requestRange(res, next, parse) {
+    try {
+        return parse();
+    } catch (error) {
+        if (error instanceof DateRangeError) {
+            res.status(400).json({ error: error.message });
+        } else {
+            next(error);
+        }
+        return null;
     }
-    return await makeDiscordRequest(endpoint);
 }
 
-async function getAllAuditLogs(actionType, startDate) {
-    const logs = [];
-    let lastId = null;
-    let rateLimitDelay = 100;
-    let batchCount = 0;
-
-    while (true) {
-        try {
-            batchCount++;
-            const batch = await getAuditLogs(actionType, lastId);
-
-            if (!batch || !batch.audit_log_entries.length) break;
+// A crawl of one guild, taking in its showcase channels and leaving out its
+// excluded ones.
+function createGuildCrawl(guild, startDate, endDate, options = {}) {
+    return createCrawl({
+        guildId: guild.id,
+        startDate,
+        endDate,
+        timezone: guild.timezone,
+        extraChannelIds: guild.showcaseChannelIds,
+        excludedChannelIds: guild.excludedChannelIds,
+        ...options
+    });
+}
 
-            const relevantEntries = batch.audit_log_entries.filter(entry => {
-                const entryTime = moment(entry.created_at);
-                return entryTime.isSameOrAfter(startDate);
-            });
 
-            logs.push(...relevantEntries);
+// What the metrics need to know beyond the crawl itself.
+function metricContext(guild) {
+    return { showcaseChannelIds: guild.showcaseChannelIds, productKeywords: guild.productKeywords, github };
+}
 
-            // Only break if this batch had no relevant entries at all
-            if (relevantEntries.length === 0) break;
+// The local store is always written to, whatever else is configured; it is
+// what the dashboard reads from.
+function createSinks(guild) {
+    const names = Array.from(new Set(['local', ...guild.exporters]));
+    return exporters.createExporters(names, {
+        guildId: guild.id,
+        timezone: guild.timezone,
+        sheetId: guild.sheetId,
+        googleCredentials: GOOGLE_CREDENTIALS,
+        exportDir: guild.exportDir,
+        databaseUrl: guild.databaseUrl
+    });
+}
 
-            lastId = batch.audit_log_entries[batch.audit_log_entries.length - 1].id;
+async function runAnalyticsJob(job, guild, { weekRange, startDate, endDate }) {
+    const crawl = createGuildCrawl(guild, startDate, endDate, { progress: jobs.progressReporter(job, 'crawl') });
 
-            await new Promise(resolve => setTimeout(resolve, rateLimitDelay));
-            if (batchCount % 5 === 0) rateLimitDelay += 50;
+    const results = await computeMetrics(job, crawl, metricContext(guild));
+    console.log(`Final metrics for guild ${guild.id}:`, results);
+    flagIncompleteMetrics(job, crawl);
 
-        } catch (error) {
-            if (error.message.includes('rate limited')) {
-                rateLimitDelay *= 2;
-                continue;
-            }
-            throw error;
-        }
-    }
+    jobs.setPhase(job, 'export');
+    await exporters.exportMetrics(createSinks(guild), [{ weekRange, metrics: results }]);
 
-    return logs;
+    return results;
 }
 
-async function getGuildInfo() {
-    return await makeDiscordRequest(`/guilds/${GUILD_ID}?with_counts=true`);
+// A queued or running job of the guild covering any part of the buckets'
+// range. Two runs over the same weeks would crawl the same data twice and
+// race each other to the exports.
+function findOverlappingJob(guild, buckets) {
+    const startDate = buckets[0].startDate;
+    const endDate = buckets[buckets.length - 1].endDate;
+
+    return jobs.listJobs().find(job => (
+        (job.status === 'queued' || job.status === 'running') &&
+        job.params.guildId === guild.id &&
+        (job.params.weekRanges || [job.params.weekRange]).some(weekRange => {
+            const range = parseDateRange(weekRange, { timezone: guild.timezone });
+            return range.startDate.isSameOrBefore(endDate) && startDate.isSameOrBefore(range.endDate);
+        })
+    )) || null;
 }
 
-async function getHistoricalMemberCount(endDate) {
-    const currentInfo = await getGuildInfo();
-    const currentCount = currentInfo.approximate_member_count;
-
-    const joinLogs = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MEMBER_ADD, endDate);
-    const leaveLogs = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MEMBER_REMOVE, endDate);
-
-    let historicalCount = currentCount;
-
-    joinLogs.forEach(entry => {
-        const joinDate = moment(entry.created_at);
-        if (joinDate.isAfter(endDate)) {
-            historicalCount--;
-        }
+function overlapResponse(res, job) {
+    return res.status(409).json({
+        error: `A run covering part of this range is already ${job.status}`,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
     });
+}
 
-    leaveLogs.forEach(entry => {
-        const leaveDate = moment(entry.created_at);
-        if (leaveDate.isAfter(endDate)) {
-            historicalCount++;
-        }
+// Crawls the whole backfill range once, computes every bucket from slices of
+// that crawl, then exports all the rows together, oldest first.
+async function runBackfillJob(job, guild, buckets) {
+    const crawl = createGuildCrawl(guild, buckets[0].startDate, buckets[buckets.length - 1].endDate, {
+        progress: jobs.progressReporter(job, 'crawl')
     });
 
-    return historicalCount;
-}
+    const entries = [];
+    for (const bucket of buckets) {
+        const metrics = await jobs.trackMetric(job, bucket.weekRange, () => (
+            computeMetrics(job, crawl.slice(bucket.startDate, bucket.endDate), metricContext(guild), false)
+        ));
+        entries.push({ weekRange: bucket.weekRange, metrics });
+    }
+    flagIncompleteMetrics(job, crawl);
 
-async function getTotalMembers(startDate, endDate) {
-    try {
-        // Get current members and their join dates
-        const allMembers = await getAllGuildMembers();
-        
-        // Get all leave logs up to endDate
-        const leaveAuditLogs = await getMemberLeaves(startDate, endDate);
-        
-        // Create a map of member leaves with their timestamps
-        const memberLeaves = new Map();
-        leaveAuditLogs.forEach(log => {
-            memberLeaves.set(log.target_id, moment(log.created_at));
-        });
+    jobs.setPhase(job, 'export');
+    await exporters.exportMetrics(createSinks(guild), entries);
 
-        const count = allMembers.filter(member => {
-            if (!member.joined_at) return false;
+    return entries;
+}
 
-            const joinedAt = adjustToLocalTime(member.joined_at);
-            
-            // Check if they joined before or during the period
-            if (!joinedAt.isSameOrBefore(endDate)) {
-                return false;
-            }
+// Queues one pipeline run per bucket and works through them in order in the
+// background, recording each in the store. `done` settles once every run has
+// finished (a failed run is recorded, not thrown); callers that only need the
+// job handles can ignore it.
+function queueAnalyticsJobs(guild, buckets, trigger) {
+    const metricNames = metricRegistry.getMetrics().map(metric => metric.name);
+    const queued = buckets.map(bucket => ({
+        bucket,
+        job: jobs.createJob({ guildId: guild.id, weekRange: bucket.weekRange, trigger }, ['crawl', ...metricNames])
+    }));
+
+    // Like a backfill, a run sends one summary, of its latest completed
+    // period, once every period is done; a failed period is reported as it
+    // fails.
+    const done = (async () => {
+        let latest = null;
+        for (const { bucket, job } of queued) {
+            jobs.startJob(job);
+            const run = {
+                id: job.id,
+                guildId: guild.id,
+                weekRange: bucket.weekRange,
+                trigger,
+                status: job.status,
+                startedAt: job.startedAt
+            };
 
-            // Check if they left during the period
-            const leaveDate = memberLeaves.get(member.user.id);
-            if (leaveDate && leaveDate.isSameOrBefore(endDate)) {
-                return false;
+            try {
+                store.saveRun(run);
+                const metrics = await runAnalyticsJob(job, guild, bucket);
+                jobs.completeJob(job, metrics);
+                store.saveRun({ ...run, status: job.status, finishedAt: job.finishedAt });
+                latest = bucket;
+            } catch (error) {
+                console.log('Analytics collection failed', { jobId: job.id, guildId: guild.id, error: error.message });
+                console.error('Error:', error);
+                jobs.failJob(job, error);
+                store.saveRun({ ...run, status: job.status, finishedAt: job.finishedAt, error: error.message });
+                await notifyFailure(guild, { weekRanges: [bucket.weekRange], trigger, jobId: job.id }, error);
             }
+        }
 
-            return true;
-        }).length;
-
-        // Add members who left during the period but were there at the start
-        const additionalMembers = leaveAuditLogs.filter(log => {
-            const leaveDate = moment(log.created_at);
-            const member = allMembers.find(m => m.user.id === log.target_id);
-            
-            // If they're not in current members and left during period
-            return !member && 
-                   leaveDate.isSameOrAfter(startDate) && 
-                   leaveDate.isSameOrBefore(endDate);
-        }).length;
-
-        return count + additionalMembers;
+        if (latest) {
+            await notifyRun(guild, latest);
+        }
+    })().catch(error => {
+        // Only reached when a failure can't be recorded, such as the store
+        // being unavailable. The jobs still waiting are failed so they don't
+        // block later runs of the same periods.
+        console.log('Queued analytics jobs stopped', { guildId: guild.id, error: error.message });
+        queued
+            .filter(({ job }) => !job.finishedAt)
+            .forEach(({ job }) => jobs.failJob(job, error));
+    });
 
-    } catch (error) {
-        console.log('Error getting total members:', error);
-        throw error;
-    }
+    return { jobs: queued.map(({ job }) => job), done };
 }
 
+// Accepts `range` (or the original `weekRange`) in any form parseRangeSpec
+// understands, plus an optional `granularity` of day, week or month. Each
+// bucket of the range becomes its own job and its own export row. `guild`
+// picks a configured guild by id or name; the range is read in its timezone.
+app.post('/collect-analytics', runnerOnly, crawlLimit, (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
+    const { range, weekRange, granularity = null } = req.body;
 
-async function getAllGuildMembers() {
-    let allMembers = [];
-    let after = '0';
+    const buckets = requestRange(res, next, () => resolveBuckets(range || weekRange, granularity, { timezone: guild.timezone }));
+    if (!buckets) return;
 
-    while (true) {
-        const endpoint = `/guilds/${GUILD_ID}/members?limit=1000${after !== '0' ? `&after=${after}` : ''}`;
-        const batch = await makeDiscordRequest(endpoint);
+    const overlapping = findOverlappingJob(guild, buckets);
+    if (overlapping) {
+        return overlapResponse(res, overlapping);
+    }
 
-        if (!batch || batch.length === 0) break;
+    const { jobs: queued } = queueAnalyticsJobs(guild, buckets, 'manual');
+
+    res.status(202).json({
+        message: 'Analytics collection started',
+        guildId: guild.id,
+        jobId: queued[0].id,
+        statusUrl: `/jobs/${queued[0].id}`,
+        jobs: queued.map(job => ({
+            jobId: job.id,
+            weekRange: job.params.weekRange,
+            statusUrl: `/jobs/${job.id}`
+        }))
+    });
+});
 
-        allMembers = allMembers.concat(batch);
+// Fills in many periods at once: `start` and `end` each take anything
+// parseRangeSpec reads, and the backfill runs from the beginning of the first
+// to the end of the second, so "2024-01" to "last-month" works. `period` is
+// day, week (the default) or month.
+app.post('/backfill', runnerOnly, crawlLimit, (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
+
+    const { start, end, period = 'week' } = req.body;
+    if (!start || !end) {
+        return res.status(400).json({ error: 'start and end are required' });
+    }
 
-        if (batch.length < 1000) break;
+    const buckets = requestRange(res, next, () => {
+        const { startDate } = parseRangeSpec(start, { timezone: guild.timezone });
+        const { endDate } = parseRangeSpec(end, { timezone: guild.timezone });
+        if (endDate.isBefore(startDate)) {
+            throw new DateRangeError(`"${end}" ends before "${start}" starts`);
+        }
+        return splitRange(startDate, endDate, period);
+    });
+    if (!buckets) return;
 
-        after = batch[batch.length - 1].user.id;
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    const overlapping = findOverlappingJob(guild, buckets);
+    if (overlapping) {
+        return overlapResponse(res, overlapping);
     }
 
-    return allMembers;
-}
+    const weekRanges = buckets.map(bucket => bucket.weekRange);
+    const job = jobs.createJob(
+        { guildId: guild.id, start, end, period, weekRanges, trigger: 'backfill' },
+        ['crawl', ...weekRanges]
+    );
+    jobs.startJob(job);
 
+    const recordRuns = (status, error = null) => weekRanges.forEach(weekRange => store.saveRun({
+        id: `${job.id}:${weekRange}`,
+        guildId: guild.id,
+        weekRange,
+        trigger: 'backfill',
+        status,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error
+    }));
+
+    // Only the latest period gets a summary; the rest are history by now.
+    runBackfillJob(job, guild, buckets)
+        .then(entries => {
+            jobs.completeJob(job, entries);
+            recordRuns(job.status);
+            return notifyRun(guild, buckets[buckets.length - 1]);
+        })
+        .catch(error => {
+            console.log('Backfill failed', { jobId: job.id, error: error.message });
+            console.error('Error:', error);
+            jobs.failJob(job, error);
+            recordRuns(job.status, error.message);
+            return notifyFailure(guild, { weekRanges, trigger: 'backfill', jobId: job.id }, error);
+        });
 
-async function getMemberLeaves(startDate, endDate) {
-    const leaves = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MEMBER_REMOVE, startDate);
-    return leaves.filter(entry => {
-        // Convert Discord snowflake ID to timestamp
-        const timestamp = Number(BigInt(entry.id) >> 22n) + 1420070400000;
-        const leaveDate = moment(timestamp);
-        return leaveDate.isSameOrAfter(startDate) && leaveDate.isSameOrBefore(endDate);
+    res.status(202).json({
+        message: `Backfill of ${buckets.length} periods started`,
+        guildId: guild.id,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`,
+        weekRanges
     });
-}
+});
 
+// Daily member counts, gross joins and leaves (split into voluntary leaves,
+// kicks and bans) and net growth for any range parseRangeSpec reads.
+app.get('/members/timeseries', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
-async function getNewMembers(startDate, endDate) {
-    try {
-        const members = await getAllGuildMembers();
-        const newMembers = members.filter(member => {
-            if (!member.joined_at) return false;
-            const joinedAt = adjustToLocalTime(member.joined_at);
-            const isInRange = joinedAt.isSameOrAfter(startDate) && joinedAt.isSameOrBefore(endDate);
-            return isInRange;
-        }).length;
-
-        const leaves = await getMemberLeaves(startDate, endDate);
-        
-        return newMembers - leaves.length;
+    const range = requestRange(res, next, () => parseRangeSpec(req.query.range, { timezone: guild.timezone }));
+    if (!range) return;
 
+    const { startDate, endDate } = range;
+    try {
+        const crawl = createGuildCrawl(guild, startDate, endDate);
+        await crawl.membershipLedger();
+
+        res.json({
+            guildId: guild.id,
+            range: formatDateRange(startDate, endDate),
+            summary: membership.summarizeMembership(guild.id, startDate, endDate),
+            days: membership.memberTimeSeries(guild.id, startDate, endDate, guild.timezone)
+        });
     } catch (error) {
-        console.log('Error getting new members:', error);
-        throw error;
+        console.log('Error building member time series:', error.message);
+        res.status(500).json({ error: error.message });
     }
-}
-async function getThreads(channelId, startDate) {
-    const threads = new Set();
-    
+});
+
+// Active, new and returning users, DAU/WAU/MAU and stickiness for each day,
+// week (the default) or month of the range.
+app.get('/engagement', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
+
+    const buckets = requestRange(res, next, () => (
+        resolveBuckets(req.query.range, req.query.granularity || 'week', { timezone: guild.timezone })
+    ));
+    if (!buckets) return;
+
+    const first = buckets[0];
+    const last = buckets[buckets.length - 1];
     try {
-        // Get all active threads in the guild
-        const guildThreadsEndpoint = `/guilds/${GUILD_ID}/threads/active`;
-        const activeGuildThreads = await makeDiscordRequest(guildThreadsEndpoint, "GET", true);
-        
-        if (activeGuildThreads && activeGuildThreads.threads) {
-            activeGuildThreads.threads
-                .filter(thread => thread.parent_id === channelId)
-                .forEach(thread => threads.add(thread.id));
-        }
-        
-        // Get archived threads
-        const archivedPublicEndpoint = `/channels/${channelId}/threads/archived/public`;
-        const archivedPublic = await makeDiscordRequest(archivedPublicEndpoint, "GET", true);
-        
-        if (archivedPublic && archivedPublic.threads) {
-            archivedPublic.threads
-                .filter(thread => moment(thread.thread_metadata.creation_timestamp).isSameOrAfter(startDate))
-                .forEach(thread => threads.add(thread.id));
+        // Reaching back far enough for the first period's MAU covers all the
+        // later ones too.
+        const crawl = createGuildCrawl(
+            guild,
+            moment.min(first.startDate, engagement.lookbackStart(first.endDate, guild.timezone)),
+            last.endDate
+        );
+
+        const periods = [];
+        for (const bucket of buckets) {
+            const summary = await engagement.getEngagement(crawl.slice(bucket.startDate, bucket.endDate));
+            periods.push({ weekRange: bucket.weekRange, ...summary });
         }
+        res.json({ guildId: guild.id, periods });
     } catch (error) {
-        console.log(`Error fetching threads for channel ${channelId}:`, error.message);
+        console.log('Error building engagement report:', error.message);
+        res.status(500).json({ error: error.message });
     }
-    
-    return Array.from(threads);
-}
+});
 
-async function getAllChannelMessages(channelId, startDate, endDate) {
-    const messages = [];
-    let batchCount = 0;
-    let rateLimitDelay = 100;
-
-    // Get deleted message logs first
-    const deletedMessageLogs = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MESSAGE_DELETE, startDate);
-    const deletedMessages = new Map();
-
-    deletedMessageLogs.forEach(log => {
-        if (log.options && log.options.channel_id === channelId) {
-            deletedMessages.set(log.target_id, {
-                deleteDate: moment(log.created_at),
-                originalContent: log.changes?.find(c => c.key === 'content')?.old || ''
-            });
-        }
-    });
+// Retention by join week: for every cohort that joined in the range, the
+// share of it that posted in each week since.
+app.get('/cohorts', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
-    async function fetchMessages(channelOrThreadId) {
-        const channelMessages = [];
-        let messageLastId = null;
-        
-        while (true) {
-            try {
-                const endpoint = `/channels/${channelOrThreadId}/messages?limit=100${messageLastId ? `&before=${messageLastId}` : ''}`;
-                const batch = await makeDiscordRequest(endpoint, "GET", true);
-
-                if (!batch || batch.length === 0) break;
-
-                let reachedEnd = false;
-                for (const msg of batch) {
-                    const msgTime = adjustToLocalTime(msg.timestamp);
-                    if (msgTime.isBefore(startDate)) {
-                        reachedEnd = true;
-                        break;
-                    }
-                    if (msgTime.isSameOrBefore(endDate)) {
-                        if (deletedMessages.has(msg.id)) {
-                            const deleteInfo = deletedMessages.get(msg.id);
-                            msg.deleted = true;
-                            msg.deleteDate = deleteInfo.deleteDate;
-                            msg.originalContent = deleteInfo.originalContent;
-                        }
-                        channelMessages.push(msg);
-                    }
-                }
-
-                if (reachedEnd) break;
-                messageLastId = batch[batch.length - 1].id;
-
-                await new Promise(resolve => setTimeout(resolve, rateLimitDelay));
-                batchCount++;
-                if (batchCount % 10 === 0) rateLimitDelay += 50;
+    const range = requestRange(res, next, () => parseRangeSpec(req.query.range, { timezone: guild.timezone }));
+    if (!range) return;
 
-            } catch (error) {
-                if (error.message.includes('rate limited')) {
-                    rateLimitDelay *= 2;
-                    continue;
-                }
-                break;
-            }
-        }
-        return channelMessages;
+    const { startDate, endDate } = range;
+    try {
+        const crawl = createGuildCrawl(guild, startDate, endDate);
+        res.json({
+            guildId: guild.id,
+            range: formatDateRange(startDate, endDate),
+            cohorts: await engagement.getCohorts(crawl)
+        });
+    } catch (error) {
+        console.log('Error building cohort report:', error.message);
+        res.status(500).json({ error: error.message });
     }
+});
+
+// Per-user activity for a range, ranked. `limit` trims it to a top-N
+// leaderboard, `excludeRoles` (comma separated role IDs) replaces the
+// configured staff roles, `includeBots=true` keeps bots in and `format=csv`
+// returns it as a spreadsheet-ready download.
+app.get('/contributors', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
+
+    const range = requestRange(res, next, () => parseRangeSpec(req.query.range, { timezone: guild.timezone }));
+    if (!range) return;
+
+    const { startDate, endDate } = range;
+    const options = {
+        limit: Number(req.query.limit) || null,
+        includeBots: req.query.includeBots === 'true',
+        excludedRoleIds: req.query.excludeRoles !== undefined
+            ? req.query.excludeRoles.split(',').map(id => id.trim()).filter(Boolean)
+            : contributors.EXCLUDED_ROLE_IDS
+    };
 
     try {
-        // Get main channel messages
-        const channelMessages = await fetchMessages(channelId);
-        messages.push(...channelMessages);
-
-        // Get thread messages
-        const threadIds = await getThreads(channelId, startDate);
-        for (const threadId of threadIds) {
-            const threadMessages = await fetchMessages(threadId);
-            messages.push(...threadMessages);
+        const crawl = createGuildCrawl(guild, startDate, endDate);
+        const ranked = await contributors.getContributors(crawl, options);
+
+        if (req.query.format === 'csv') {
+            return res.type('text/csv')
+                .attachment('contributors.csv')
+                .send(formatCsv([contributors.CONTRIBUTOR_HEADER, ...ranked.map(contributors.contributorRow)]));
         }
+        res.json({ guildId: guild.id, range: formatDateRange(startDate, endDate), contributors: ranked });
     } catch (error) {
-        console.log(`Error fetching messages for channel ${channelId}:`, error.message);
+        console.log('Error building contributor report:', error.message);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    return messages;
-}
-    
-
-async function getReactions(startDate, endDate) {
-    const channels = await makeDiscordRequest(`/guilds/${GUILD_ID}/channels`);
-    const messageableChannels = channels.filter(isMessageableChannel);
-    let totalReactions = 0;
-
-    for (const channel of messageableChannels) {
-        const messages = await getAllChannelMessages(channel.id, startDate, endDate);
-        let channelReactions = 0;
-        messages.forEach(msg => {
-            if (msg.reactions && !msg.deleted) {
-                channelReactions += msg.reactions.reduce((sum, reaction) => sum + reaction.count, 0);
-            }
-        });
-        totalReactions += channelReactions;
+// Top terms and bigrams, product keyword mentions and how many questions
+// were answered and how quickly, per channel and for forum posts. CSV gives
+// one section at a time.
+const CONTENT_SECTIONS = {
+    terms: { header: content.TERM_HEADER, rows: report => [...report.terms, ...report.bigrams].map(content.termRow) },
+    keywords: { header: content.KEYWORD_HEADER, rows: report => report.keywords.map(content.keywordRow) },
+    questions: { header: content.QUESTION_HEADER, rows: report => content.questionRows(report.questions).map(content.questionRow) }
+};
+
+app.get('/content', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
+
+    const range = requestRange(res, next, () => parseRangeSpec(req.query.range, { timezone: guild.timezone }));
+    if (!range) return;
+
+    const section = req.query.section || 'questions';
+    if (req.query.format === 'csv' && !CONTENT_SECTIONS[section]) {
+        return res.status(400).json({ error: `section must be one of ${Object.keys(CONTENT_SECTIONS).join(', ')}` });
     }
 
-    return totalReactions;
-}
+    const { startDate, endDate } = range;
+    const options = {
+        limit: Number(req.query.limit) || content.TOP_TERMS,
+        keywords: req.query.keywords !== undefined
+            ? req.query.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean)
+            : guild.productKeywords
+    };
 
-async function getProjectLinks(startDate, endDate) {
-    const messages = await getAllChannelMessages(CHANNEL_ID, startDate, endDate);
-    const urlRegex = /(?<!@)\b(?:https?:\/\/)?(?:www\.)?[a-zA-Z0-9-]+\.[a-z]{2,}(?:\/[^\s]*)?\b/gi;
-    
-    const projectLinks = new Set();
-
-    messages.forEach(msg => {
-        console.log("POTENTIAL LINK? : "+msg);
-        if (!msg.deleted && !msg.content.toLowerCase().includes('.cerebras.ai')) {
-            const links = msg.content.match(urlRegex) || [];
-            links.forEach(link => projectLinks.add(link));
+    try {
+        const crawl = createGuildCrawl(guild, startDate, endDate);
+        const report = await content.getContent(crawl, options);
+
+        if (req.query.format === 'csv') {
+            const { header, rows } = CONTENT_SECTIONS[section];
+            return res.type('text/csv')
+                .attachment(`content-${section}.csv`)
+                .send(formatCsv([header, ...rows(report)]));
         }
-    });
+        res.json({ guildId: guild.id, range: formatDateRange(startDate, endDate), ...report });
+    } catch (error) {
+        console.log('Error building content report:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-    const links = Array.from(projectLinks);
-    console.log("LINKS FOUND:");
-    console.log(links);
-    return links;
-}
+// Deletions, kicks, bans, timeouts and role changes by moderator, deletions
+// by channel and the members acted on most. Only moderators and runners see
+// who the moderators are.
+app.get('/moderation', crawlLimit, async (req, res, next) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
-async function getMessagesPosted(startDate, endDate) {
-    const channels = await makeDiscordRequest(`/guilds/${GUILD_ID}/channels`);
-    const messageableChannels = channels.filter(isMessageableChannel);
-    let totalMessages = 0;
+    const range = requestRange(res, next, () => parseRangeSpec(req.query.range, { timezone: guild.timezone }));
+    if (!range) return;
 
-    const deletedMessages = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MESSAGE_DELETE, startDate);
-    const deletedInPeriod = deletedMessages.filter(entry => {
-        const deleteDate = moment(entry.created_at);
-        return deleteDate.isSameOrAfter(startDate) && deleteDate.isSameOrBefore(endDate);
-    });
+    const { startDate, endDate } = range;
+    try {
+        const crawl = createGuildCrawl(guild, startDate, endDate);
+        let report = await moderation.getModeration(crawl, { limit: Number(req.query.limit) || moderation.MODERATION_TOP });
+        if (!hasRole(req.principal, 'moderator')) {
+            report = moderation.hideModerators(report);
+        }
 
-    for (const channel of messageableChannels) {
-        const messages = await getAllChannelMessages(channel.id, startDate, endDate);
-        const validMessages = messages.filter(msg => !msg.deleted);
-        totalMessages += validMessages.length;
+        if (req.query.format === 'csv') {
+            return res.type('text/csv')
+                .attachment('moderation.csv')
+                .send(formatCsv([moderation.MODERATION_HEADER, ...moderation.moderationRows(report)]));
+        }
+        res.json({ guildId: guild.id, range: formatDateRange(startDate, endDate), ...report });
+    } catch (error) {
+        console.log('Error building moderation report:', error.message);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    totalMessages += deletedInPeriod.length;
+// The configured guilds, without their export credentials.
+app.get('/guilds', (req, res) => {
+    res.json({
+        guilds: GUILDS.map(guild => ({
+            id: guild.id,
+            name: guild.name,
+            timezone: guild.timezone,
+            showcaseChannelIds: guild.showcaseChannelIds,
+            excludedChannelIds: guild.excludedChannelIds,
+            exporters: guild.exporters
+        }))
+    });
+});
 
-    return totalMessages;
-}
+// Members, growth, activity, stickiness and projects for every configured
+// guild over the same range, one row each. `range` is read in each guild's
+// own timezone, so "last-week" is each guild's own last week; `format=csv`
+// returns the rows as a download.
+app.get('/guilds/compare', crawlLimit, async (req, res, next) => {
+    const ranges = requestRange(res, next, () => (
+        GUILDS.map(guild => parseRangeSpec(req.query.range, { timezone: guild.timezone }))
+    ));
+    if (!ranges) return;
 
-async function getActiveUsers(startDate, endDate) {
-    const channels = await makeDiscordRequest(`/guilds/${GUILD_ID}/channels`);
-    const messageableChannels = channels.filter(isMessageableChannel);
-    const activeUsers = new Set();
-
-    const memberUpdates = await getAllAuditLogs(AUDIT_LOG_ACTIONS.MEMBER_UPDATE, startDate);
-    memberUpdates.forEach(entry => {
-        if (entry.target_id) {
-            const updateDate = moment(entry.created_at);
-            if (updateDate.isSameOrAfter(startDate) && updateDate.isSameOrBefore(endDate)) {
-                activeUsers.add(entry.target_id);
-            }
+    try {
+        const rows = [];
+        for (const [index, guild] of GUILDS.entries()) {
+            const { startDate, endDate } = ranges[index];
+            const crawl = createGuildCrawl(guild, startDate, endDate);
+            rows.push(await comparison.compareGuild(guild, crawl, formatDateRange(startDate, endDate)));
         }
-    });
 
-    for (const channel of messageableChannels) {
-        const messages = await getAllChannelMessages(channel.id, startDate, endDate);
-        messages.forEach(msg => {
-            if (!msg.deleted && msg.author) {
-                activeUsers.add(msg.author.id);
-            }
-        });
+        if (req.query.format === 'csv') {
+            return res.type('text/csv')
+                .attachment('guild-comparison.csv')
+                .send(formatCsv([comparison.COMPARISON_HEADER, ...rows.map(comparison.comparisonRow)]));
+        }
+        res.json({ guilds: rows });
+    } catch (error) {
+        console.log('Error building guild comparison:', error.message);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    return activeUsers.size;
+// The stored granularity a results request is for, weeks by default. Sends
+// the 400 itself for one that isn't stored.
+function requestGranularity(req, res) {
+    const granularity = req.query.granularity || 'week';
+    if (!GRANULARITIES.includes(granularity)) {
+        res.status(400).json({ error: `Granularity must be one of ${GRANULARITIES.join(', ')}` });
+        return null;
+    }
+    return granularity;
 }
 
+// Stored results for the dashboard, read-only. Every charted metric for each
+// past period of `granularity` (week by default), oldest first, with the
+// change from the period before; `limit` keeps only the most recent ones.
+app.get('/results', (req, res) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
+
+    const granularity = requestGranularity(req, res);
+    if (!granularity) return;
 
-async function updateGoogleSheet(weekRange, metrics) {
-    console.log('Updating Google Sheet', metrics);
-    const auth = new google.auth.GoogleAuth({
-        credentials: GOOGLE_CREDENTIALS,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    res.json({
+        guildId: guild.id,
+        granularity,
+        ...history.getHistory(guild.id, { granularity, limit: Number(req.query.limit) || null })
     });
+});
 
-    const sheets = google.sheets({ version: 'v4', auth });
+// One stored period with its per-channel breakdown and projects: the one
+// named by `weekRange`, or the latest of `granularity`.
+app.get('/results/period', (req, res) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
-    const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'Sheet1!A:H',
-    });
+    const granularity = requestGranularity(req, res);
+    if (!granularity) return;
 
-    const rows = response.data.values || [];
-    const existingRowIndex = rows.findIndex(row => row[0] === weekRange);
+    const period = history.getPeriod(guild.id, req.query.weekRange || null, { granularity });
+    if (!period) {
+        return res.status(404).json({ error: 'No stored results for that period' });
+    }
+    res.json({ guildId: guild.id, ...period });
+});
 
-    const newRow = [
-        weekRange,
-        metrics.totalMembers,
-        metrics.newMembers,
-        metrics.activeUsers,
-        metrics.messagesPosted,
-        metrics.reactions,
-        metrics.projectsShowcased,
-        metrics.projectLinks.join('\n')
-    ];
-
-    if (existingRowIndex !== -1) {
-        // Update existing row
-        await sheets.spreadsheets.values.update({
-            spreadsheetId: SHEET_ID,
-            range: `Sheet1!A${existingRowIndex + 1}:H${existingRowIndex + 1}`,
-            valueInputOption: 'RAW',
-            resource: { values: [newRow] }
-        });
-    } else {
-        // Insert new row at position 2 (after header)
-        await sheets.spreadsheets.batchUpdate({
-            spreadsheetId: SHEET_ID,
-            resource: {
-                requests: [
-                    {
-                        insertDimension: {
-                            range: {
-                                sheetId: 0,  // Assuming Sheet1 has ID 0
-                                dimension: 'ROWS',
-                                startIndex: 1,  // After header
-                                endIndex: 2
-                            }
-                        }
-                    }
-                ]
-            }
-        });
+// Every GitHub repository showcased in the guild with its stars at the time
+// it was showcased, its stars now and the recorded history in between.
+app.get('/projects/growth', (req, res) => {
+    const guild = requestGuild(req, res);
+    if (!guild) return;
 
-        // Update the newly inserted row with values
-        await sheets.spreadsheets.values.update({
-            spreadsheetId: SHEET_ID,
-            range: 'Sheet1!A2:H2',
-            valueInputOption: 'RAW',
-            resource: { values: [newRow] }
-        });
+    res.json({ guildId: guild.id, repos: repos.getGrowthReport(guild.id) });
+});
+
+// A job as the caller may see it: finished jobs carry the moderation report
+// (one per period for a backfill), whose moderators only moderators get to
+// see.
+function visibleJob(job, principal) {
+    if (!job.metrics || hasRole(principal, 'moderator')) {
+        return job;
     }
+
+    const hidden = metrics => (metrics && metrics.moderation
+        ? { ...metrics, moderation: moderation.hideModerators(metrics.moderation) }
+        : metrics);
+    return {
+        ...job,
+        metrics: Array.isArray(job.metrics)
+            ? job.metrics.map(entry => ({ ...entry, metrics: hidden(entry.metrics) }))
+            : hidden(job.metrics)
+    };
 }
 
+// Every job, or only those in `ids` (comma-separated), so the dashboard can
+// follow all the jobs of a run with one request.
+app.get('/jobs', (req, res) => {
+    const ids = req.query.ids ? new Set(String(req.query.ids).split(',').map(id => id.trim())) : null;
+    const listed = jobs.listJobs().filter(job => !ids || ids.has(job.id));
+    res.json({ jobs: listed.map(job => visibleJob(job, req.principal)) });
+});
 
-app.post('/collect-analytics', async (req, res) => {
-    res.json({ message: 'Analytics collection started' });
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(visibleJob(job, req.principal));
+});
 
-    try {
-        const { weekRange } = req.body;
-
-        const { startDate, endDate } = parseDateRange(weekRange);
-
-        const [totalMembers, newMembers] = await Promise.all([
-            getTotalMembers(startDate, endDate),
-            getNewMembers(startDate, endDate)
-        ]);
-
-        const [activeUsers, messagesPosted, reactions, projectLinks] = await Promise.all([
-            getActiveUsers(startDate, endDate),
-            getMessagesPosted(startDate, endDate),
-            getReactions(startDate, endDate),
-            getProjectLinks(startDate, endDate)
-        ]);
-
-        const metrics = {
-            totalMembers,
-            newMembers,
-            activeUsers,
-            messagesPosted,
-            reactions,
-            projectLinks,
-            projectsShowcased: projectLinks.length
-        };
-
-        console.log('Final metrics:', metrics);
-        await updateGoogleSheet(weekRange, metrics);
+// One scheduler per guild, each collecting the guild's own weeks.
+const schedulers = SCHEDULE_CRON ? GUILDS.map(guild => createScheduler({
+    guildId: guild.id,
+    timezone: guild.timezone,
+    cronExpression: SCHEDULE_CRON,
+    catchUpWeeks: SCHEDULE_CATCHUP_WEEKS,
+    runWeek: async weekRange => {
+        const buckets = [{ weekRange, ...parseDateRange(weekRange, { timezone: guild.timezone }) }];
+        const overlapping = findOverlappingJob(guild, buckets);
+        if (overlapping) {
+            const error = new Error(`A run covering ${weekRange} is already ${overlapping.status} (job ${overlapping.id})`);
+            await notifyFailure(guild, { weekRanges: [weekRange], trigger: 'schedule', jobId: null }, error);
+            throw error;
+        }
+        return queueAnalyticsJobs(guild, buckets, 'schedule').done;
+    }
+})) : [];
 
-    } catch (error) {
-        console.log('Analytics collection failed', { error: error.message });
-        console.error('Error:', error);
+app.get('/schedule', (req, res) => {
+    if (!schedulers.length) {
+        return res.json({ enabled: false, runs: store.getRuns({ trigger: 'schedule', limit: 20 }) });
     }
+    res.json({ enabled: true, cron: SCHEDULE_CRON, guilds: schedulers.map(scheduler => scheduler.status()) });
+});
+
+// The optional live listener. It records what the REST API can't give back
+// later; the metrics use that log for any period it was connected throughout.
+const gateway = GATEWAY_ENABLED ? createGatewayClient({
+    token: (process.env.TOKEN || '').replace(/^Bot /, ''),
+    url: DISCORD_GATEWAY_URL,
+    ...eventlog.createRecorder(GUILDS.map(guild => guild.id))
+}) : null;
+
+app.get('/gateway', (req, res) => {
+    if (!gateway) {
+        return res.json({ enabled: false, sessions: store.getGatewaySessions() });
+    }
+    res.json({ enabled: true, ...gateway.status(), sessions: store.getGatewaySessions() });
 });
 
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
+    if (!auth.configured) {
+        console.log('No API_KEYS or Discord login configured: every API request will be refused');
+    } else if (!auth.enabled) {
+        console.log('AUTH_DISABLED is set: the API is open to anyone who can reach it');
+    }
+    if (schedulers.length) {
+        console.log(`Weekly collection scheduled for ${schedulers.length} guild(s): ${SCHEDULE_CRON}`);
+        schedulers.forEach(scheduler => scheduler.start());
+    }
+    if (gateway) {
+        console.log('Starting gateway listener');
+        gateway.start();
+    }
 });
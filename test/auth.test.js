@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createAuth } = require('../lib/auth');
+
+function request(headers) {
+    return { get: name => headers[name.toLowerCase()] };
+}
+
+function response() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+const auth = createAuth({ sessionSecret: 'session-secret' });
+
+test('answers a request with a malformed cookie as unauthenticated', () => {
+    const res = response();
+    let called = false;
+    auth.middleware(request({ cookie: 'other=%E0%A4%A; theme=dark' }), res, () => { called = true; });
+
+    assert.strictEqual(called, false);
+    assert.strictEqual(res.statusCode, 401);
+});
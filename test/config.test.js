@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadGuilds, ConfigError } = require('../lib/config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+
+function load(guilds) {
+    const configPath = path.join(tmpDir, 'guilds.json');
+    fs.writeFileSync(configPath, JSON.stringify({ guilds }));
+    return loadGuilds(configPath);
+}
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('refuses a guild exporting to Sheets, the default, without a sheetId', () => {
+    assert.throws(() => load([{ id: '1' }]), error => (
+        error instanceof ConfigError && error.message === 'Guild 1 exports to sheets but has no sheetId'
+    ));
+});
+
+test('refuses a guild exporting to Postgres without a databaseUrl', () => {
+    assert.throws(() => load([{ id: '1', exporters: ['csv', 'postgres'] }]), error => (
+        error instanceof ConfigError && error.message === 'Guild 1 exports to postgres but has no databaseUrl'
+    ));
+});
+
+test('accepts a target for every exporter, the CSV directory defaulting to one per guild', () => {
+    const guilds = load([
+        { id: '1', exporters: ['csv'] },
+        { id: '2', exporters: ['sheets'], sheetId: 'sheet' }
+    ]);
+
+    assert.strictEqual(path.basename(guilds[0].exportDir), '1');
+    assert.strictEqual(guilds[1].sheetId, 'sheet');
+});
+
+test('refuses two guilds sharing a spreadsheet', () => {
+    assert.throws(() => load([
+        { id: '1', sheetId: 'sheet' },
+        { id: '2', sheetId: 'sheet' }
+    ]), ConfigError);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const moment = require('moment-timezone');
+const discord = require('../lib/discord');
+const content = require('../lib/content');
+
+const alice = { id: 'alice', username: 'alice' };
+const bob = { id: 'bob', username: 'bob' };
+const carol = { id: 'carol', username: 'carol' };
+const helperBot = { id: 'bot', username: 'helper', bot: true };
+
+const RATE_LIMIT_POST_ID = discord.timestampToSnowflake(Date.parse('2024-02-06T12:00:00Z'));
+const SETUP_POST_ID = discord.timestampToSnowflake(Date.parse('2024-02-06T13:00:00Z'));
+
+function message(author, time, text, extra = {}) {
+    const timestamp = `2024-02-06T${time}:00Z`;
+    return { id: discord.timestampToSnowflake(Date.parse(timestamp)), author, timestamp, content: text, ...extra };
+}
+
+// A day in general, where alice's question gets a reply after half an hour
+// and carol's only gets her own follow-up, and in the help forum, where
+// carol's post is answered after twenty minutes and bob's isn't a question.
+const asked = message(alice, '10:00', 'How do I stream responses with the SDK? The sdk docs, SDK examples...');
+const general = [
+    asked,
+    message(bob, '10:30', 'The SDK has a stream flag', { message_reference: { message_id: asked.id } }),
+    message(carol, '11:00', 'Anyone tried the batch API'),
+    message(carol, '11:05', 'Still looking for batch API examples'),
+    message(helperBot, '11:10', 'How can I help? Type /help'),
+    message(alice, '11:15', 'Why?', { deleted: true }),
+    message(bob, '11:20', 'Run `why?` or see https://example.com/?q and ```how?```')
+];
+const help = [
+    message(carol, '12:00', 'Getting 429s from the batch endpoint', { threadId: RATE_LIMIT_POST_ID }),
+    message(bob, '12:20', 'Back off and retry', { threadId: RATE_LIMIT_POST_ID }),
+    message(bob, '13:00', 'Sharing my deploy setup', { threadId: SETUP_POST_ID })
+];
+
+const crawl = {
+    startDate: moment.utc('2024-02-05T00:00:00Z'),
+    endDate: moment.utc('2024-02-11T23:59:59Z'),
+    channels: async () => [
+        { id: 'general', name: 'general', type: discord.CHANNEL_TYPES.TEXT },
+        { id: 'help', name: 'help', type: discord.CHANNEL_TYPES.FORUM }
+    ],
+    channelMessages: async channelId => (channelId === 'general' ? general : help).slice(),
+    threads: async channelId => (channelId === 'help' ? [
+        { id: RATE_LIMIT_POST_ID, owner_id: 'carol', name: 'How do I handle rate limits' },
+        { id: SETUP_POST_ID, owner_id: 'bob', name: 'Deploy notes' }
+    ] : [])
+};
+
+let report;
+
+test.before(async () => {
+    report = await content.getContent(crawl, { keywords: ['sdk', 'batch api'] });
+});
+
+test('reads questions by their mark or their opening word', () => {
+    assert.strictEqual(content.isQuestion('anyone tried the batch api'), true);
+    assert.strictEqual(content.isQuestion('it works now?'), true);
+    assert.strictEqual(content.isQuestion('it works now'), false);
+    assert.strictEqual(content.isQuestion(''), false);
+});
+
+test('analyzes only people\'s messages that are still there', () => {
+    assert.strictEqual(report.messagesAnalyzed, 8);
+});
+
+test('counts a term once per message it appears in', () => {
+    const term = name => report.terms.find(entry => entry.term === name);
+
+    assert.strictEqual(term('sdk').messages, 2);
+    assert.strictEqual(term('batch').messages, 3);
+    assert.ok(!term('the'), 'stopwords are left out');
+    assert.ok(report.bigrams.some(entry => entry.term === 'batch api' && entry.messages === 2));
+});
+
+test('tracks each keyword\'s messages, authors and channels', () => {
+    assert.deepStrictEqual(report.keywords, [
+        { keyword: 'sdk', messages: 2, authors: 2, channels: 1 },
+        { keyword: 'batch api', messages: 2, authors: 1, channels: 1 }
+    ]);
+});
+
+test('measures how many questions get an answer from someone else and how soon', () => {
+    assert.deepStrictEqual(report.questions.messages, {
+        questions: 2, answered: 1, answeredShare: 0.5, medianFirstResponseMinutes: 30
+    });
+    assert.deepStrictEqual(report.questions.forumPosts, {
+        questions: 1, answered: 1, answeredShare: 1, medianFirstResponseMinutes: 20
+    });
+    assert.deepStrictEqual(report.questions.channels.map(row => [row.channelId, row.kind, row.questions]), [
+        ['general', 'messages', 2],
+        ['help', 'forum posts', 1]
+    ]);
+});
+
+test('adds the totals to the question rows', () => {
+    const rows = content.questionRows(report.questions).map(content.questionRow);
+
+    assert.deepStrictEqual(rows.slice(-2), [
+        ['', 'All channels', 'messages', 2, 1, 0.5, 30],
+        ['', 'All forums', 'forum posts', 1, 1, 1, 20]
+    ]);
+    assert.ok(rows.every(row => row.length === content.QUESTION_HEADER.length));
+});
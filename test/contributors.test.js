@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const STAFF_ROLE_ID = 'staff-role';
+process.env.LEADERBOARD_SIZE = '1';
+process.env.LEADERBOARD_EXCLUDED_ROLE_IDS = STAFF_ROLE_ID;
+
+const moment = require('moment-timezone');
+const contributors = require('../lib/contributors');
+
+const alice = { id: 'alice', username: 'alice', global_name: 'Alice' };
+const carol = { id: 'carol', username: 'carol' };
+const botUser = { id: 'bot', username: 'helper-bot', bot: true };
+const staff = { id: 'staff', username: 'staff' };
+
+function message(author, channelId, reactions = 0, extra = {}) {
+    return {
+        author,
+        sourceChannelId: channelId,
+        reactions: reactions ? [{ count: reactions, emoji: { name: '👍' } }] : [],
+        ...extra
+    };
+}
+
+function thread(ownerId, createdAt) {
+    return { id: `thread-${ownerId}-${createdAt}`, owner_id: ownerId, thread_metadata: { creation_timestamp: createdAt } };
+}
+
+// A week in which a bot and a staff member post the most, carol's messages
+// get more reactions than alice's, and alice and staff each start a thread.
+// carol's thread is from the week before.
+const crawl = {
+    startDate: moment.utc('2024-02-05T00:00:00Z'),
+    endDate: moment.utc('2024-02-11T23:59:59Z'),
+    members: async () => [
+        { user: alice, roles: [] },
+        { user: carol, roles: [] },
+        { user: botUser, roles: [] },
+        { user: staff, roles: [STAFF_ROLE_ID] }
+    ],
+    messages: async () => [
+        message(alice, 'general', 1),
+        message(alice, 'general', 1),
+        message(carol, 'general', 2),
+        message(carol, 'help', 1),
+        message(carol, 'general', 5, { deleted: true }),
+        ...Array.from({ length: 5 }, () => message(botUser, 'general')),
+        ...Array.from({ length: 4 }, () => message(staff, 'general'))
+    ],
+    channels: async () => [{ id: 'general' }, { id: 'help' }],
+    threads: async channelId => (channelId === 'help' ? [
+        thread('alice', '2024-02-06T10:00:00Z'),
+        thread('staff', '2024-02-07T10:00:00Z'),
+        thread('carol', '2024-02-01T10:00:00Z')
+    ] : [])
+};
+
+test('ranks by messages, then reactions received, leaving out bots and staff', async () => {
+    const ranked = await contributors.getContributors(crawl);
+
+    assert.deepStrictEqual(ranked, [
+        { rank: 1, userId: 'carol', username: 'carol', messages: 2, threadsStarted: 0, reactionsReceived: 3, channelsActive: 2 },
+        { rank: 2, userId: 'alice', username: 'Alice', messages: 2, threadsStarted: 1, reactionsReceived: 2, channelsActive: 2 }
+    ]);
+});
+
+test('counts bots when asked to', async () => {
+    const ranked = await contributors.getContributors(crawl, { includeBots: true });
+
+    assert.deepStrictEqual(ranked.map(entry => [entry.rank, entry.userId]), [[1, 'bot'], [2, 'carol'], [3, 'alice']]);
+});
+
+test('counts staff when no roles are excluded', async () => {
+    const ranked = await contributors.getContributors(crawl, { excludedRoleIds: [] });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.userId), ['staff', 'carol', 'alice']);
+    assert.strictEqual(ranked[0].threadsStarted, 1);
+});
+
+test('keeps the leaderboard to its configured size', async () => {
+    const ranked = await contributors.getLeaderboard(crawl);
+
+    assert.deepStrictEqual(ranked.map(entry => entry.userId), ['carol']);
+    assert.deepStrictEqual(contributors.contributorRow(ranked[0]), [1, 'carol', 'carol', 2, 0, 3, 2]);
+    assert.strictEqual(contributors.CONTRIBUTOR_HEADER.length, 7);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const discord = require('../lib/discord');
+const store = require('../lib/store');
+const jobs = require('../lib/jobs');
+const { parseDateRange } = require('../lib/dates');
+const { createCrawl } = require('../lib/crawl');
+const { flagIncompleteMetrics } = require('../lib/pipeline');
+const { createMockDiscordServer } = require('../mock/discord-server');
+const fixture = require('../mock/fixtures/sample-guild.json');
+
+const GUILD_ID = fixture.guild.id;
+const GENERAL_CHANNEL_ID = '926988160204800000';
+const SHOWCASE_CHANNEL_ID = '927350548070400000';
+
+// The sample guild with the showcase channel hidden from the bot.
+const { startDate, endDate } = parseDateRange(fixture.range);
+let server;
+
+test.before(async () => {
+    server = createMockDiscordServer({ fixture, token: 'mock-token', forbiddenChannelIds: [SHOWCASE_CHANNEL_ID] });
+    discord.configure({ apiBase: await server.start(), token: 'mock-token' });
+});
+
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('records a channel the bot can\'t read as an issue and leaves it unsynced', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate, endDate });
+    const messages = await crawl.messages();
+
+    assert.ok(messages.length > 0);
+    assert.ok(!messages.some(msg => msg.sourceChannelId === SHOWCASE_CHANNEL_ID));
+    assert.deepStrictEqual(crawl.issues().map(issue => [issue.source, issue.channelId]), [['messages', SHOWCASE_CHANNEL_ID]]);
+    assert.strictEqual(store.getSyncState(`messages:${SHOWCASE_CHANNEL_ID}`), null);
+});
+
+test('asks for the channel again on the next crawl', async () => {
+    const before = server.requests.length;
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate, endDate });
+    await crawl.messages();
+
+    const retried = server.requests.slice(before)
+        .filter(request => request === `GET /api/v10/channels/${SHOWCASE_CHANNEL_ID}/messages`);
+    assert.strictEqual(retried.length, 1);
+    assert.strictEqual(crawl.issues().length, 1);
+});
+
+test('flags the run incomplete for issues in a wider crawl', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate: startDate.clone().add(14, 'days'), endDate });
+    await crawl.widen(startDate).messages();
+
+    const job = jobs.createJob({ guildId: GUILD_ID, weekRange: fixture.range, trigger: 'test' });
+    flagIncompleteMetrics(job, crawl);
+
+    assert.deepStrictEqual(crawl.issues().map(issue => issue.channelId), [SHOWCASE_CHANNEL_ID]);
+    assert.ok(job.incomplete.some(entry => entry.metric === 'messagesPosted'));
+});
+
+test('serves a later lookback as a slice of the widest crawl taken', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate: startDate.clone().add(14, 'days'), endDate });
+    const lookbackStart = startDate.clone().add(7, 'days');
+    const widest = crawl.widen(startDate);
+    const later = crawl.widen(lookbackStart);
+
+    assert.strictEqual(crawl.widen(startDate), widest);
+    assert.strictEqual(later.startDate.valueOf(), lookbackStart.valueOf());
+
+    const expected = (await widest.messages()).filter(msg => Date.parse(msg.timestamp) >= lookbackStart.valueOf());
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual((await later.messages()).map(msg => msg.id), expected.map(msg => msg.id));
+});
+
+test('fetches recent messages again to pick up reactions added since', async () => {
+    const today = moment.utc().startOf('day');
+    const tonight = today.clone().endOf('day');
+    const message = await discord.createChannelMessage(GENERAL_CHANNEL_ID, 'posted today');
+
+    const reactionsOn = async crawl => (await crawl.messages()).find(msg => msg.id === message.id).reactions;
+    assert.deepStrictEqual(await reactionsOn(createCrawl({ guildId: GUILD_ID, startDate: today, endDate: tonight })), []);
+
+    server.posted.find(msg => msg.id === message.id).reactions.push({ count: 2, emoji: { name: '🎉' } });
+    const reactions = await reactionsOn(createCrawl({ guildId: GUILD_ID, startDate: today, endDate: tonight }));
+    assert.deepStrictEqual(reactions.map(reaction => reaction.count), [2]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const discord = require('../lib/discord');
+const store = require('../lib/store');
+const metricRegistry = require('../lib/metrics');
+const { parseDateRange } = require('../lib/dates');
+const { createCrawl } = require('../lib/crawl');
+const { createMockDiscordServer } = require('../mock/discord-server');
+const fixture = require('../mock/fixtures/sample-guild.json');
+
+const GUILD_ID = fixture.guild.id;
+const GENERAL_CHANNEL_ID = '926988160204800000';
+const SHOWCASE_CHANNEL_ID = '927350548070400000';
+const SIDE_CHAT_THREAD_ID = '1205785224806400000';
+const OTHER_CHANNEL_ID = '1';
+
+// The gateway listener covering all of February, having heard messages and
+// reactions in general, in a thread under it, in the showcase channel (which
+// the crawl excludes) and in a channel the crawl doesn't know.
+const { startDate, endDate } = parseDateRange(fixture.range);
+let server;
+
+function saveEvent(type, channelId, messageId) {
+    const occurredAt = startDate.valueOf() + 24 * 60 * 60 * 1000;
+    store.saveGatewayEvent({ guildId: GUILD_ID, type, channelId, messageId, userId: '794354201395200000', occurredAt, data: {} });
+}
+
+function compute(name, crawl) {
+    return metricRegistry.getMetrics().find(metric => metric.name === name).compute(crawl, {});
+}
+
+test.before(async () => {
+    server = createMockDiscordServer({ fixture, token: 'mock-token' });
+    discord.configure({ apiBase: await server.start(), token: 'mock-token' });
+
+    store.touchGatewaySession('session', startDate.valueOf() - 1000);
+    store.touchGatewaySession('session', endDate.valueOf() + 1000);
+
+    [GENERAL_CHANNEL_ID, SIDE_CHAT_THREAD_ID, SHOWCASE_CHANNEL_ID, OTHER_CHANNEL_ID].forEach((channelId, index) => {
+        saveEvent('MESSAGE_CREATE', channelId, String(index + 1));
+        saveEvent('MESSAGE_REACTION_ADD', channelId, String(index + 1));
+    });
+    saveEvent('MESSAGE_REACTION_REMOVE', SHOWCASE_CHANNEL_ID, '3');
+});
+
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('counts only gateway events from the crawl\'s channels and their threads', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate, endDate, excludedChannelIds: [SHOWCASE_CHANNEL_ID] });
+
+    const log = await crawl.eventLog();
+    assert.strictEqual(log.covered, true);
+    assert.deepStrictEqual(log.messagesCreated.map(event => event.channelId), [GENERAL_CHANNEL_ID, SIDE_CHAT_THREAD_ID]);
+
+    assert.strictEqual(await compute('messagesPosted', crawl), 2);
+    assert.strictEqual(await compute('reactions', crawl), 2);
+});
+
+test('counts the showcase channel when nothing is excluded', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate, endDate });
+
+    assert.strictEqual(await compute('messagesPosted', crawl), 3);
+    assert.strictEqual(await compute('reactions', crawl), 2);
+});
+
+test('filters sliced crawls the same way', async () => {
+    const crawl = createCrawl({ guildId: GUILD_ID, startDate, endDate, excludedChannelIds: [SHOWCASE_CHANNEL_ID] });
+    const slice = crawl.slice(startDate, startDate.clone().add(7, 'days'));
+
+    assert.strictEqual(await compute('messagesPosted', slice), 2);
+});
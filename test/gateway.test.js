@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const discord = require('../lib/discord');
+const eventlog = require('../lib/eventlog');
+const store = require('../lib/store');
+const { createGatewayClient } = require('../lib/gateway');
+const { createMockDiscordServer } = require('../mock/discord-server');
+const { OPCODES } = require('../mock/gateway-server');
+const fixture = require('../mock/fixtures/sample-guild.json');
+
+const TOKEN = 'mock-token';
+const GUILD_ID = fixture.guild.id;
+const CHANNEL_ID = '926988160204800000';
+
+// The gateway client against the mock gateway, found through /gateway/bot,
+// with the event log recorder handling its dispatches.
+let server;
+let client;
+const startedAt = Date.now();
+
+function waitFor(check, what, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        (function poll() {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+            setTimeout(poll, 10);
+        })();
+    });
+}
+
+function periodEvents() {
+    return eventlog.getPeriodEvents(GUILD_ID, startedAt, Date.now());
+}
+
+function messageCreate(id) {
+    return {
+        id,
+        guild_id: GUILD_ID,
+        channel_id: CHANNEL_ID,
+        author: { id: '794354201395200000', username: 'alice' },
+        content: 'hello from the gateway',
+        timestamp: new Date().toISOString()
+    };
+}
+
+function sentOps(op) {
+    return server.gateway.received.filter(payload => payload.op === op);
+}
+
+test.before(async () => {
+    server = createMockDiscordServer({ fixture, token: TOKEN, heartbeatInterval: 50 });
+    discord.configure({ apiBase: await server.start(), token: TOKEN });
+
+    client = createGatewayClient({ token: TOKEN, ...eventlog.createRecorder([GUILD_ID]) });
+    client.start();
+});
+
+test.after(async () => {
+    client.stop();
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('identifies after HELLO and becomes ready', async () => {
+    await waitFor(() => client.status().state === 'connected', 'READY');
+
+    assert.strictEqual(sentOps(OPCODES.IDENTIFY).length, 1);
+    assert.strictEqual(sentOps(OPCODES.IDENTIFY)[0].d.token, TOKEN);
+    assert.ok(client.status().sessionId);
+});
+
+test('heartbeats and records the session as seen', async () => {
+    await waitFor(() => client.status().lastHeartbeatAckAt, 'a heartbeat ACK');
+
+    assert.ok(sentOps(OPCODES.HEARTBEAT).length >= 1);
+    const session = store.getGatewaySessions().find(entry => entry.id === client.status().sessionId);
+    assert.ok(session, 'the session should be recorded');
+});
+
+test('records message and reaction dispatches for the guild', async () => {
+    server.gateway.dispatch('MESSAGE_CREATE', messageCreate('1300000000000000001'));
+    server.gateway.dispatch('MESSAGE_REACTION_ADD', {
+        guild_id: GUILD_ID, channel_id: CHANNEL_ID, message_id: '1300000000000000001', user_id: '805588225228800000', emoji: { name: '👍' }
+    });
+    server.gateway.dispatch('MESSAGE_REACTION_REMOVE', {
+        guild_id: GUILD_ID, channel_id: CHANNEL_ID, message_id: '1300000000000000001', user_id: '805588225228800000', emoji: { name: '👍' }
+    });
+    server.gateway.dispatch('MESSAGE_CREATE', { ...messageCreate('1300000000000000002'), guild_id: '1' });
+
+    await waitFor(() => periodEvents().reactionsRemoved.length === 1, 'the reaction removal to be recorded');
+
+    const events = periodEvents();
+    assert.deepStrictEqual(events.messagesCreated.map(event => event.messageId), ['1300000000000000001']);
+    assert.strictEqual(events.messagesCreated[0].channelId, CHANNEL_ID);
+    assert.strictEqual(events.messagesCreated[0].userId, '794354201395200000');
+    assert.deepStrictEqual(events.reactionsAdded.map(event => event.userId), ['805588225228800000']);
+    assert.deepStrictEqual(events.reactionsRemoved.map(event => event.messageId), ['1300000000000000001']);
+});
+
+test('resumes after a dropped connection without losing events', async () => {
+    const sessionId = client.status().sessionId;
+
+    server.gateway.drop();
+    await waitFor(() => !server.gateway.connected(), 'the connection to drop');
+    server.gateway.dispatch('MESSAGE_CREATE', messageCreate('1300000000000000003'));
+
+    await waitFor(() => periodEvents().messagesCreated.length === 2, 'the missed message to be replayed', 10000);
+
+    const resume = sentOps(OPCODES.RESUME);
+    assert.strictEqual(resume.length, 1);
+    assert.strictEqual(resume[0].d.session_id, sessionId);
+    assert.strictEqual(sentOps(OPCODES.IDENTIFY).length, 1);
+    assert.strictEqual(client.status().sessionId, sessionId);
+    assert.deepStrictEqual(periodEvents().messagesCreated.map(event => event.messageId), [
+        '1300000000000000001',
+        '1300000000000000003'
+    ]);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+
+const { createMockDiscordServer } = require('../mock/discord-server');
+const fixture = require('../mock/fixtures/sample-guild.json');
+
+const GENERAL_CHANNEL_ID = '926988160204800000';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+
+// The server itself, run against the mock API with moderators named in
+// exports and summaries posted to general, and a key for each role.
+let server;
+let app;
+let baseUrl;
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function waitFor(check, what, timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        (async function poll() {
+            try {
+                if (await check()) return resolve();
+            } catch (error) {
+                // Not up yet.
+            }
+            if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+            setTimeout(poll, 100);
+        })();
+    });
+}
+
+function get(route, key) {
+    return fetch(`${baseUrl}${route}`, { headers: { 'X-API-Key': key } }).then(res => res.json());
+}
+
+test.before(async () => {
+    server = createMockDiscordServer({ fixture, token: 'mock-token' });
+    const apiBase = await server.start();
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    app = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DISCORD_API_URL: apiBase,
+            TOKEN: 'mock-token',
+            GUILD_ID: fixture.guild.id,
+            API_KEYS: 'viewer:viewer:viewer-key,moderator:moderator:moderator-key,runner:runner:runner-key',
+            CACHE_DB_PATH: path.join(tmpDir, 'analytics.db'),
+            GUILDS_CONFIG: path.join(tmpDir, 'guilds.json'),
+            EXPORTERS: 'csv',
+            EXPORT_DIR: tmpDir,
+            GITHUB_ENRICHMENT: 'false',
+            MODERATION_EXPORT_MODERATORS: 'true',
+            NOTIFY_DISCORD_CHANNEL_ID: GENERAL_CHANNEL_ID
+        },
+        stdio: 'ignore'
+    });
+    await waitFor(() => fetch(`${baseUrl}/jobs`).then(() => true), 'the server to listen');
+});
+
+test.after(async () => {
+    app.kill();
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let backfillJobId;
+
+test('hides moderators in a backfill job from viewers', async () => {
+    const res = await fetch(`${baseUrl}/backfill`, {
+        method: 'POST',
+        headers: { 'X-API-Key': 'runner-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ start: 'Feb 5 2024', end: 'Feb 18 2024' })
+    });
+    const { jobId } = await res.json();
+    backfillJobId = jobId;
+    await waitFor(async () => (await get(`/jobs/${jobId}`, 'runner-key')).status === 'completed', 'the backfill');
+
+    const moderatorIds = job => job.metrics.flatMap(entry => entry.metrics.moderation.moderators)
+        .map(entry => entry.moderatorId);
+
+    const seen = await get(`/jobs/${jobId}`, 'moderator-key');
+    assert.strictEqual(seen.metrics.length, 2);
+    assert.ok(moderatorIds(seen).length > 0);
+    assert.ok(moderatorIds(seen).every(Boolean));
+
+    const viewed = await get(`/jobs/${jobId}`, 'viewer-key');
+    assert.ok(moderatorIds(viewed).every(id => id === null));
+
+    const listed = (await get('/jobs', 'viewer-key')).jobs.find(job => job.id === jobId);
+    assert.ok(moderatorIds(listed).every(id => id === null));
+});
+
+test('lists only the jobs asked for', async () => {
+    const res = await fetch(`${baseUrl}/collect-analytics`, {
+        method: 'POST',
+        headers: { 'X-API-Key': 'runner-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ range: 'Feb 19 2024 - Feb 25 2024' })
+    });
+    assert.strictEqual(res.status, 202);
+    const [{ jobId }] = (await res.json()).jobs;
+    await waitFor(async () => (await get(`/jobs/${jobId}`, 'runner-key')).status === 'completed', 'the run');
+
+    assert.ok((await get('/jobs', 'viewer-key')).jobs.length > 1);
+    const { jobs } = await get(`/jobs?ids=${backfillJobId},unknown`, 'viewer-key');
+    assert.deepStrictEqual(jobs.map(job => job.id), [backfillJobId]);
+});
+
+test('sends one summary for a run of several periods, of the latest', async () => {
+    const before = server.posted.length;
+    const res = await fetch(`${baseUrl}/collect-analytics`, {
+        method: 'POST',
+        headers: { 'X-API-Key': 'runner-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ range: 'Jan 1 2024 - Jan 14 2024', granularity: 'week' })
+    });
+    const ids = (await res.json()).jobs.map(({ jobId }) => jobId);
+    assert.strictEqual(ids.length, 2);
+
+    await waitFor(async () => (await get(`/jobs?ids=${ids.join(',')}`, 'runner-key')).jobs
+        .every(job => job.status === 'completed'), 'the run');
+    await waitFor(() => server.posted.length > before, 'the summary');
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const summaries = server.posted.slice(before);
+    assert.strictEqual(summaries.length, 1);
+    assert.ok(summaries[0].content.includes('Jan 8 2024 - Jan 14 2024'));
+});
+
+test('refuses a stored period of an unknown granularity', async () => {
+    const res = await fetch(`${baseUrl}/results/period?granularity=year`, { headers: { 'X-API-Key': 'viewer-key' } });
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /Granularity must be one of/);
+});
+
+test('serves the daily member series for a range', async () => {
+    const series = await get(`/members/timeseries?range=${encodeURIComponent(fixture.range)}`, 'viewer-key');
+    const total = field => series.days.reduce((sum, day) => sum + day[field], 0);
+
+    assert.strictEqual(series.days.length, 29);
+    assert.strictEqual(series.days[0].date, '2024-02-01');
+    assert.strictEqual(series.days[series.days.length - 1].members, series.summary.endCount);
+    assert.strictEqual(series.summary.endCount, 8);
+    assert.strictEqual(total('grossJoins'), series.summary.grossJoins);
+    assert.strictEqual(total('grossLeaves'), series.summary.grossLeaves);
+    assert.deepStrictEqual([series.summary.grossJoins, series.summary.grossLeaves], [3, 2]);
+});
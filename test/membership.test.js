@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const moment = require('moment-timezone');
+const discord = require('../lib/discord');
+const store = require('../lib/store');
+const membership = require('../lib/membership');
+
+const GUILD_ID = 'guild';
+const at = time => Date.parse(time);
+
+function member(userId, joinedAt) {
+    return { user: { id: userId }, joined_at: joinedAt };
+}
+
+// A member sync as the crawl takes one: diffed against the last snapshot,
+// then stored as the latest.
+function snapshot(guildId, members, syncedAt) {
+    const state = store.getSyncState(`${guildId}:members`);
+    const previous = state ? { members: store.getMembers(guildId), syncedAt: state.syncedAt } : null;
+
+    membership.recordSnapshot(guildId, previous, members, at(syncedAt));
+    store.replaceMembers(guildId, members);
+    store.setSyncState(`${guildId}:members`, { syncedAt: at(syncedAt) });
+}
+
+// Four members on March 1st. By the 3rd, bob has left, dave was kicked on
+// the 2nd at noon and erin joined that morning.
+test.before(() => {
+    snapshot(GUILD_ID, [
+        member('alice', '2024-01-01T00:00:00Z'),
+        member('bob', '2024-01-01T00:00:00Z'),
+        member('carol', '2024-02-10T00:00:00Z'),
+        member('dave', '2024-01-01T00:00:00Z')
+    ], '2024-03-01T00:00:00Z');
+
+    membership.recordAuditEntries(GUILD_ID, [
+        { id: discord.timestampToSnowflake(at('2024-03-02T12:00:00Z')), target_id: 'dave' }
+    ], 'kick');
+
+    snapshot(GUILD_ID, [
+        member('alice', '2024-01-01T00:00:00Z'),
+        member('carol', '2024-02-10T00:00:00Z'),
+        member('erin', '2024-03-02T06:00:00Z')
+    ], '2024-03-03T00:00:00Z');
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('places a departure between snapshots in the middle of their window', () => {
+    const leaves = membership.getLedger(GUILD_ID, at('2024-03-01T00:00:00Z'))
+        .filter(event => event.type === 'leave');
+
+    assert.deepStrictEqual(leaves.map(event => [event.userId, new Date(event.occurredAt).toISOString()]), [
+        ['bob', '2024-03-02T00:00:00.000Z']
+    ]);
+});
+
+test('keeps the audit log\'s kick over the snapshot\'s departure', () => {
+    const dave = membership.getLedger(GUILD_ID, at('2024-03-01T00:00:00Z'))
+        .filter(event => event.userId === 'dave');
+
+    assert.deepStrictEqual(dave.map(event => [event.type, event.source]), [['kick', 'audit']]);
+});
+
+test('counts members back from the latest snapshot', () => {
+    const summary = membership.summarizeMembership(
+        GUILD_ID, moment.utc('2024-03-01T00:00:00Z'), moment.utc('2024-03-02T23:59:59Z')
+    );
+
+    assert.deepStrictEqual(summary, {
+        startCount: 4,
+        endCount: 3,
+        grossJoins: 1,
+        grossLeaves: 2,
+        voluntaryLeaves: 1,
+        kicks: 1,
+        bans: 0,
+        netGrowth: -1
+    });
+});
+
+test('gives each day its end count, joins and departures', () => {
+    const days = membership.memberTimeSeries(
+        GUILD_ID, moment.utc('2024-03-01T00:00:00Z'), moment.utc('2024-03-02T23:59:59Z'), 'UTC'
+    );
+
+    assert.deepStrictEqual(days.map(day => [day.date, day.members, day.grossJoins, day.voluntaryLeaves, day.kicks]), [
+        ['2024-03-01', 4, 0, 0, 0],
+        ['2024-03-02', 3, 1, 1, 1]
+    ]);
+});
+
+test('records a member whose join date changed as leaving and coming back', () => {
+    snapshot('rejoin', [member('frank', '2024-01-01T00:00:00Z')], '2024-03-01T00:00:00Z');
+    snapshot('rejoin', [member('frank', '2024-03-02T18:00:00Z')], '2024-03-03T00:00:00Z');
+
+    const events = membership.getLedger('rejoin', at('2024-03-01T00:00:00Z'));
+    assert.deepStrictEqual(events.map(event => [event.type, new Date(event.occurredAt).toISOString()]), [
+        ['leave', '2024-03-01T21:00:00.000Z'],
+        ['join', '2024-03-02T18:00:00.000Z']
+    ]);
+
+    const summary = membership.summarizeMembership(
+        'rejoin', moment.utc('2024-03-01T00:00:00Z'), moment.utc('2024-03-02T23:59:59Z')
+    );
+    assert.strictEqual(summary.startCount, 1);
+    assert.strictEqual(summary.endCount, 1);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const store = require('../lib/store');
+const notifications = require('../lib/notifications');
+const { parseDateRange } = require('../lib/dates');
+
+const guild = { id: 'guild', name: 'Guild' };
+const rules = notifications.parseAnomalyRules('messagesPosted:drop:40');
+
+function saveResult(range, granularity, messagesPosted) {
+    store.saveResults(guild.id, [{ weekRange: range, granularity, ...parseDateRange(range), metrics: { messagesPosted } }]);
+}
+
+// Four ordinary weeks, a month and two ten-day ranges, which are stored
+// with no granularity.
+test.before(() => {
+    saveResult('Jan 1 2024 - Jan 7 2024', 'week', 100);
+    saveResult('Jan 8 2024 - Jan 14 2024', 'week', 100);
+    saveResult('Jan 15 2024 - Jan 21 2024', 'week', 100);
+    saveResult('Jan 22 2024 - Jan 28 2024', 'week', 100);
+    saveResult('Jan 1 2024 - Jan 31 2024', 'month', 400);
+    saveResult('Feb 1 2024 - Feb 10 2024', null, 150);
+    saveResult('Feb 11 2024 - Feb 20 2024', null, 140);
+    saveResult('Feb 21 2024 - Mar 1 2024', null, 80);
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('flags a week that falls against the weeks before it', () => {
+    saveResult('Jan 29 2024 - Feb 4 2024', 'week', 50);
+    const summary = notifications.buildSummary(guild, 'Jan 29 2024 - Feb 4 2024', { rules });
+
+    assert.deepStrictEqual(summary.anomalies.map(anomaly => [anomaly.metric, anomaly.baseline, anomaly.percent]), [
+        ['messagesPosted', 100, -50]
+    ]);
+});
+
+test('measures a range with no granularity only against ranges as long', () => {
+    const summary = notifications.buildSummary(guild, 'Feb 21 2024 - Mar 1 2024', { granularity: null, rules });
+
+    assert.strictEqual(summary.anomalies.length, 1);
+    assert.strictEqual(summary.anomalies[0].baseline, 145);
+    assert.strictEqual(summary.anomalies[0].baselinePeriods, 2);
+});
+
+test('leaves out the failed run\'s job when it never had one', () => {
+    const text = notifications.formatFailure({
+        guildName: 'Guild', weekRanges: ['Feb 5 2024 - Feb 11 2024'], trigger: 'schedule', jobId: null, error: 'overlap'
+    });
+
+    assert.ok(!text.includes('Job:'));
+    assert.ok(text.includes('Trigger: schedule'));
+});
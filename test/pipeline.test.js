@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const { runFixture } = require('../mock/offline');
+const fixture = require('../mock/fixtures/sample-guild.json');
+
+const GENERAL_CHANNEL_ID = '926988160204800000';
+
+// The sample guild over February 2024, served with every seventh request
+// rate limited. The expected values are counted by hand from the fixture.
+let run;
+
+test.before(async () => {
+    run = await runFixture(fixture, { rateLimitEvery: 7 });
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('counts members, joins and leaves', () => {
+    const { results } = run;
+    assert.strictEqual(results.totalMembers, 8);
+    assert.strictEqual(results.newMembers, 1);
+    assert.strictEqual(results.memberJoins, 3);
+    assert.strictEqual(results.memberLeaves, 2);
+    assert.deepStrictEqual(results.membership, {
+        startCount: 7,
+        endCount: 8,
+        grossJoins: 3,
+        grossLeaves: 2,
+        voluntaryLeaves: 0,
+        kicks: 1,
+        bans: 1,
+        netGrowth: 1
+    });
+});
+
+test('counts messages, reactions and active users', () => {
+    const { results } = run;
+    // 155 messages still there plus the 3 a moderator deleted in February.
+    assert.strictEqual(results.messagesPosted, 158);
+    assert.strictEqual(results.reactions, 24);
+    assert.strictEqual(results.activeUsers, 8);
+});
+
+test('takes cohorts from every week of a month', () => {
+    const cohorts = run.results.cohortRetention.filter(row => row.cohortSize > 0);
+    assert.deepStrictEqual(cohorts.map(row => [row.cohortWeek, row.cohortSize, row.activeMembers]), [
+        ['2024-W06', 1, 1],
+        ['2024-W07', 1, 1],
+        ['2024-W08', 1, 1]
+    ]);
+});
+
+test('adds GitHub stats to showcased repositories', () => {
+    assert.strictEqual(run.results.projectsShowcased, 3);
+    assert.strictEqual(run.results.repoStats['github.com/alice/thing'].stars, 42);
+    assert.ok(run.githubRequests.includes('GET /repos/alice/thing'));
+});
+
+test('retries rate limited requests and still completes', () => {
+    assert.ok(run.rateLimited.length > 0, 'the mock should have rate limited some requests');
+    assert.strictEqual(run.job.status, 'completed');
+    assert.deepStrictEqual(run.job.incomplete, []);
+});
+
+test('pages through channels with more than one page of messages', () => {
+    const pages = run.requests.filter(request => request === `GET /api/v10/channels/${GENERAL_CHANNEL_ID}/messages`);
+    assert.ok(pages.length >= 2, `expected general to take several pages, got ${pages.length}`);
+
+    const general = run.results.channelBreakdown.find(row => row.channelId === GENERAL_CHANNEL_ID && !row.threadId);
+    assert.strictEqual(general.messages, 145);
+});
+
+test('writes the summary row to Sheets', () => {
+    const rows = run.sheetsClient.rows('Sheet1');
+    assert.deepStrictEqual(rows[0], [
+        'Week Range', 'Total Members', 'New Members', 'Active Users', 'Messages Posted', 'Reactions',
+        'Projects Showcased', 'Gross Joins', 'Gross Leaves'
+    ]);
+    assert.deepStrictEqual(rows[rows.length - 1], ['Feb 1 2024 - Feb 29 2024', 8, 1, 8, 158, 24, 3, 3, 2]);
+});
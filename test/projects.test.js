@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const projects = require('../lib/projects');
+
+const alice = { id: 'alice', username: 'alice', global_name: 'Alice' };
+const bob = { id: 'bob', username: 'bob' };
+
+function message(id, author, timestamp, fields) {
+    return { id, channel_id: 'showcase', author, timestamp, content: '', embeds: [], attachments: [], ...fields };
+}
+
+test('trims markdown and punctuation from links in text', () => {
+    assert.deepStrictEqual(projects.extractUrls('See [it](https://example.com/a_(b)). Also https://x.dev/y, ok'), [
+        'https://example.com/a_(b)',
+        'https://x.dev/y'
+    ]);
+    assert.deepStrictEqual(projects.extractUrls('plain example.com is not a link'), []);
+});
+
+test('groups repository links by owner and name, whatever the page', () => {
+    const keys = [
+        'https://github.com/Alice/Thing',
+        'https://www.github.com/alice/thing/tree/main/src',
+        'https://github.com/alice/thing.git'
+    ].map(url => projects.normalizeUrl(url).key);
+
+    assert.deepStrictEqual(new Set(keys), new Set(['github.com/alice/thing']));
+    assert.strictEqual(projects.normalizeUrl('https://github.com/alice').type, 'site');
+});
+
+test('reads package and space names after their prefixes', () => {
+    const key = url => projects.normalizeUrl(url).key;
+
+    assert.strictEqual(key('https://www.npmjs.com/package/@scope/tool'), 'npmjs.com/package/@scope/tool');
+    assert.strictEqual(key('https://www.npmjs.com/package/tool/v/1.0.0'), 'npmjs.com/package/tool');
+    assert.strictEqual(key('https://pypi.org/project/thing/2.0/'), 'pypi.org/project/thing');
+    assert.strictEqual(key('https://huggingface.co/spaces/alice/demo'), 'huggingface.co/spaces/alice/demo');
+});
+
+test('keys a site by its host and drops tracking parameters', () => {
+    const link = projects.normalizeUrl('https://www.thing.dev/docs?utm_source=discord&page=2');
+
+    assert.deepStrictEqual(link, { key: 'thing.dev', url: 'https://thing.dev/docs?page=2', host: 'thing.dev', type: 'site' });
+    assert.strictEqual(projects.normalizeUrl('http://localhost:3000'), null);
+});
+
+test('credits each project to the first message sharing it and counts the rest as mentions', () => {
+    const found = projects.findProjects([
+        message('3', bob, '2024-02-03T10:00:00Z', { content: 'Mine too: https://github.com/alice/thing' }),
+        message('1', alice, '2024-02-01T10:00:00Z', {
+            content: 'Built https://github.com/alice/thing and https://github.com/alice/thing#readme',
+            embeds: [{ url: 'https://thing.dev', description: 'Docs at https://docs.thing.dev/start' }]
+        }),
+        message('2', bob, '2024-02-02T10:00:00Z', {
+            attachments: [{ description: 'Demo from https://gitlab.com/bob/demo' }]
+        }),
+        message('4', bob, '2024-02-04T10:00:00Z', { content: 'https://discord.gg/invite and https://cdn.discordapp.com/x.png' }),
+        message('5', alice, '2024-02-05T10:00:00Z', { content: 'https://gitlab.com/bob/demo', deleted: true })
+    ], { guildId: 'guild', excludedDomains: projects.EXCLUDED_DOMAINS });
+
+    assert.deepStrictEqual(found.map(project => [project.key, project.type, project.authorId, project.mentions]), [
+        ['github.com/alice/thing', 'repo', 'alice', 2],
+        ['thing.dev', 'site', 'alice', 1],
+        ['docs.thing.dev', 'site', 'alice', 1],
+        ['gitlab.com/bob/demo', 'repo', 'bob', 1]
+    ]);
+    assert.strictEqual(found[0].messageUrl, 'https://discord.com/channels/guild/showcase/1');
+    assert.strictEqual(found[0].author, 'Alice');
+});
+
+test('lays out a project row with its GitHub stats, when there are any', () => {
+    const [project] = projects.findProjects([
+        message('1', alice, '2024-02-01T10:00:00Z', { content: 'https://github.com/alice/thing' })
+    ], { guildId: 'guild' });
+    const repo = { stars: 42, forks: 3, language: 'JavaScript', lastCommitAt: '2024-02-01T00:00:00Z', contributors: 2 };
+
+    assert.strictEqual(projects.projectRow(project, repo).length, projects.PROJECT_HEADER.length);
+    assert.deepStrictEqual(projects.projectRow(project, repo).slice(-5), [42, 3, 'JavaScript', '2024-02-01T00:00:00Z', 2]);
+    assert.deepStrictEqual(projects.projectRow(project).slice(-5), ['', '', '', '', '']);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const repos = require('../lib/repos');
+const { createGithubClient } = require('../lib/github');
+const { createMockGithubServer } = require('../mock/github-server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const showcasedAt = Date.parse('2024-02-07T18:00:00Z');
+
+function project(key, authorId) {
+    return {
+        key,
+        url: `https://${key}`,
+        type: 'repo',
+        authorId,
+        postedAt: new Date(showcasedAt).toISOString(),
+        messageUrl: `https://discord.com/channels/guild/channel/${authorId}`
+    };
+}
+
+// Two guilds, each showcasing a repository of its own and both showcasing
+// the same one, against the GitHub stub.
+let server;
+let github;
+
+test.before(async () => {
+    server = createMockGithubServer({
+        repos: {
+            'alice/thing': { stars: 10, forks: 1, language: 'TypeScript', lastCommitAt: '2024-02-20T09:30:00Z', contributors: 3 },
+            'bob/tool': { stars: 5, forks: 0, language: 'Go', lastCommitAt: '2024-02-01T12:00:00Z', contributors: 1 },
+            'shared/lib': { stars: 100, forks: 20, language: 'Rust', lastCommitAt: '2024-02-10T08:00:00Z', contributors: 0 }
+        }
+    });
+    github = createGithubClient({ baseUrl: await server.start() });
+});
+
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('reads stars, forks, language, last commit and contributors from GitHub', async () => {
+    const stats = await repos.enrichProjects('guild-a', [
+        project('github.com/alice/thing', 'alice'),
+        project('github.com/shared/lib', 'alice'),
+        project('github.com/gone/repo', 'alice')
+    ], github, showcasedAt);
+
+    assert.deepStrictEqual(stats['github.com/alice/thing'], {
+        stars: 10, forks: 1, language: 'TypeScript', lastCommitAt: '2024-02-20T09:30:00Z', contributors: 3, recordedAt: showcasedAt
+    });
+    assert.strictEqual(stats['github.com/shared/lib'].contributors, 0);
+    assert.strictEqual(stats['github.com/gone/repo'], undefined);
+});
+
+test('keeps each guild\'s showcased repositories to itself', async () => {
+    await repos.enrichProjects('guild-b', [
+        project('github.com/bob/tool', 'bob'),
+        project('github.com/shared/lib', 'bob')
+    ], github, showcasedAt);
+
+    const keys = guildId => repos.getGrowthReport(guildId).map(repo => repo.key).sort();
+    assert.deepStrictEqual(keys('guild-a'), ['github.com/alice/thing', 'github.com/gone/repo', 'github.com/shared/lib']);
+    assert.deepStrictEqual(keys('guild-b'), ['github.com/bob/tool', 'github.com/shared/lib']);
+    assert.deepStrictEqual(keys('guild-c'), []);
+
+    const shared = repos.getGrowthReport('guild-b').find(repo => repo.key === 'github.com/shared/lib');
+    assert.strictEqual(shared.authorId, 'bob');
+});
+
+test('refreshes due repositories and reports their growth', async () => {
+    server.repos['alice/thing'].stars = 25;
+    await repos.enrichProjects('guild-a', [], github, showcasedAt + 2 * DAY_MS);
+
+    const thing = repos.getGrowthReport('guild-a').find(repo => repo.key === 'github.com/alice/thing');
+    assert.strictEqual(thing.starsAtShowcase, 10);
+    assert.strictEqual(thing.stars, 25);
+    assert.strictEqual(thing.starGrowth, 15);
+    assert.deepStrictEqual(thing.history.map(snapshot => snapshot.stars), [10, 25]);
+});
+
+test('stops refreshing once GitHub rate limits', async () => {
+    server.setRateLimited(true);
+    const before = server.requests.length;
+    await repos.enrichProjects('guild-a', [], github, showcasedAt + 4 * DAY_MS);
+
+    assert.strictEqual(server.requests.length - before, 1);
+    server.setRateLimited(false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-analytics-test-'));
+process.env.CACHE_DB_PATH = path.join(tmpDir, 'analytics.db');
+
+const discord = require('../lib/discord');
+const { parseDateRange } = require('../lib/dates');
+const { createCrawl } = require('../lib/crawl');
+const { createMockDiscordServer } = require('../mock/discord-server');
+const sampleGuild = require('../mock/fixtures/sample-guild.json');
+
+const GUILD_ID = sampleGuild.guild.id;
+const GENERAL_CHANNEL_ID = '926988160204800000';
+const HELP_FORUM_ID = '927712935936000000';
+const LOUNGE_VOICE_ID = '928075323801600000';
+const CATEGORY_ID = '929000000000000000';
+const SIDE_CHAT_THREAD_ID = '1205785224806400000';
+const ACTIVE_POST_ID = '1209046715596800000';
+const OLD_POST_ID = '1194551200972800000';
+
+// The sample guild (general with a thread, a help forum with posts archived
+// before and during February and one still open, and a voice channel with
+// its own chat) plus a category, which holds no messages at all.
+const fixture = {
+    ...sampleGuild,
+    channels: [...sampleGuild.channels, { id: CATEGORY_ID, type: 4, name: 'Community', guild_id: GUILD_ID }]
+};
+const { startDate, endDate } = parseDateRange(fixture.range);
+let server;
+let messages;
+
+function requested(route) {
+    return server.requests.filter(request => request === `GET /api/v10${route}`).length;
+}
+
+test.before(async () => {
+    server = createMockDiscordServer({ fixture, token: 'mock-token' });
+    discord.configure({ apiBase: await server.start(), token: 'mock-token' });
+    messages = await createCrawl({ guildId: GUILD_ID, startDate, endDate }).messages();
+});
+
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('finds forum posts, archived and active, under their forum', () => {
+    const postIds = new Set(messages.filter(msg => msg.sourceChannelId === HELP_FORUM_ID).map(msg => msg.threadId));
+
+    assert.deepStrictEqual(Array.from(postIds).sort(), ['1204094081433600000', '1206570398515200000', ACTIVE_POST_ID]);
+});
+
+test('leaves out threads archived before the range starts', () => {
+    assert.ok(!messages.some(msg => msg.threadId === OLD_POST_ID));
+    assert.strictEqual(requested(`/channels/${OLD_POST_ID}/messages`), 0);
+});
+
+test('counts a text channel\'s threads under the channel', () => {
+    const sideChat = messages.filter(msg => msg.threadId === SIDE_CHAT_THREAD_ID);
+
+    assert.strictEqual(sideChat.length, 4);
+    assert.ok(sideChat.every(msg => msg.sourceChannelId === GENERAL_CHANNEL_ID));
+});
+
+test('reads each channel type only where it can hold messages', () => {
+    assert.strictEqual(requested(`/channels/${LOUNGE_VOICE_ID}/messages`), 1);
+    assert.strictEqual(requested(`/channels/${LOUNGE_VOICE_ID}/threads/archived/public`), 0);
+
+    assert.strictEqual(requested(`/channels/${HELP_FORUM_ID}/messages`), 0);
+    assert.strictEqual(requested(`/channels/${HELP_FORUM_ID}/threads/archived/public`), 1);
+    assert.strictEqual(requested(`/channels/${HELP_FORUM_ID}/threads/archived/private`), 0);
+    assert.strictEqual(requested(`/channels/${GENERAL_CHANNEL_ID}/threads/archived/private`), 1);
+
+    assert.ok(!server.requests.some(request => request.includes(CATEGORY_ID)));
+});
+
+test('treats text, announcement, voice, stage, forum and media channels as messageable', () => {
+    const messageable = [0, 2, 4, 5, 13, 15, 16].filter(type => discord.isMessageableChannel({ type }));
+
+    assert.deepStrictEqual(messageable, [0, 2, 5, 13, 15, 16]);
+});